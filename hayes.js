@@ -4202,6 +4202,21 @@ window.hayes = {
             "tense": "0"
         }
     },
+    geometry: {
+        "LARYNGEAL": ["voice", "spread gl", "constr gl"],
+        "PLACE": ["LABIAL", "CORONAL", "DORSAL"],
+        "LABIAL": ["round", "labiodental"],
+        "CORONAL": ["anterior", "distributed", "strident"],
+        "DORSAL": ["high", "low", "front", "back", "tense"]
+    },
+    diacritics: {
+        "ʰ": { name: "aspirated", features: { "spread gl": "+" } },
+        "̃": { name: "nasalized", features: { "nasal": "+" } },
+        "ʷ": { name: "labialized", features: { "LABIAL": "+", "round": "+" } },
+        "̩": { name: "syllabic", features: { "syllabic": "+" } },
+        "̥": { name: "voiceless", features: { "voice": "-" } },
+        "̊": { name: "voiceless", features: { "voice": "-" } }
+    },
     places: [
         "bilabial",
         "labiodental",
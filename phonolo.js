@@ -8,12 +8,12 @@
      * 
      * @param {HTMLElement} element - The element that listens for the event.
      * @param {string} event - The type of event to listen for.
-     * @param {function} getPopup - A function that returns the popup element.
+     * @param {function} getPopup - A function that takes the event and returns the popup element.
      * @private
      */
     function addPopup(element, event, getPopup) {
         element.addEventListener(event, e => {
-            const popup = getPopup();
+            const popup = getPopup(e);
             popup.classList.add("phonolo-popup");
             document.body.appendChild(popup);
 
@@ -38,12 +38,438 @@
             document.querySelectorAll(".phonolo-popup").forEach(popup => { popup.remove(); });
     }
 
+    /**
+     * Add a text element to an SVG diagram, centred on the given point.
+     * 
+     * @param {SVGElement} svg - The SVG element to add the text to.
+     * @param {number} x - The x coordinate of the centre of the text.
+     * @param {number} y - The y coordinate of the centre of the text.
+     * @param {(Node|string)} content - The content of the text.
+     * @param {string} [cls] - The class of the text element.
+     * @returns {SVGTextElement} The new text element.
+     * @private
+     */
+    function addSvgText(svg, x, y, content, cls) {
+        const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
+        if (cls) text.classList.add(cls);
+        text.setAttributeNS(null, "x", x);
+        text.setAttributeNS(null, "y", y);
+        text.setAttributeNS(null, "dominant-baseline", "middle");
+        text.setAttributeNS(null, "text-anchor", "middle");
+        text.append(content);
+        svg.appendChild(text);
+        return text;
+    }
+
+    /**
+     * Set the Inventory of a diagram of a word to the given Inventory,
+     * or the word's own Inventory if none is given, unless neither exists.
+     * 
+     * @param {Object} diagram - The diagram, such as a SyllableTree.
+     * @param {Word} word - The Word shown in the diagram.
+     * @param {Inventory} [inventory] - The Inventory that the Segments come from.
+     * @private
+     */
+    function setDiagramInventory(diagram, word, inventory) {
+        if (inventory ?? word.inventory) diagram.inventory = inventory ?? word.inventory;
+    }
+
+    /**
+     * Create DOM nodes for a transcription.
+     * Segments become Segment elements and strings are kept as text.
+     * 
+     * @param {Array.<(Segment|Suprasegmental|string)>} segments - The transcription.
+     * @param {Inventory} [inventory] - An Inventory to reference for interactive details.
+     * @returns {Array.<(HTMLElement|string)>} The nodes for the transcription.
+     * @private
+     */
+    function createTranscription(segments, inventory) {
+        return segments.map(segment => {
+            if (typeof segment === "string") return segment;
+            if (segment instanceof Suprasegmental) return segment.createElement();
+            return segment.createElement(inventory);
+        });
+    }
+
+    /**
+     * Return true iff two transcriptions consist of the same symbols.
+     * 
+     * @param {Array.<(Segment|string)>} a - A transcription.
+     * @param {Array.<(Segment|string)>} b - Another transcription.
+     * @returns {boolean} True iff a and b are the same form.
+     * @private
+     */
+    function sameForm(a, b) {
+        return a.length === b.length &&
+            a.every((x, i) => (x?.symbol ?? x) === (b[i]?.symbol ?? b[i]));
+    }
+
+    /**
+     * Return true iff two transcriptions consist of the very same segments in the same order.
+     * 
+     * @param {Array.<(Segment|Suprasegmental|string)>} a - A transcription.
+     * @param {Array.<(Segment|Suprasegmental|string)>} b - Another transcription.
+     * @returns {boolean} True iff a and b have the same segments.
+     * @private
+     */
+    function sameSegments(a, b) {
+        return a.length === b.length && a.every((x, i) => x === b[i]);
+    }
+
+    /**
+     * The segment elements of every rendered chart, by the Inventory the chart was rendered from.
+     * Elements are held weakly, so charts that are never attached or have been discarded
+     * do not stay in memory.
+     * 
+     * @type {WeakMap.<Inventory, Array.<{segment: Segment, element: WeakRef.<Element>}>>}
+     * @private
+     */
+    const chartSegments = new WeakMap();
+
+    /**
+     * Unregisters the entries of segment elements that have been garbage collected,
+     * given the Inventory their chart was rendered from.
+     * 
+     * @type {FinalizationRegistry}
+     * @private
+     */
+    const chartCleanup = new FinalizationRegistry(ref => {
+        const inventory = ref.deref();
+        const entries = inventory && chartSegments.get(inventory);
+        if (entries) chartSegments.set(inventory, entries.filter(({ element }) => element.deref()));
+    });
+
+    /**
+     * The feature specification whose natural class stays highlighted after being clicked.
+     * 
+     * @type {?{inventory: Inventory, features: Object.<string, string>}}
+     * @private
+     */
+    let pinnedHighlight = null;
+
+    /**
+     * Register the segment elements of a chart rendered from the given inventory
+     * so that they can be highlighted.
+     * 
+     * @param {Inventory} inventory - The Inventory the chart was rendered from.
+     * @param {Array.<{segment: Segment, element: Element}>} entries - The segments in the chart and their elements.
+     * @private
+     */
+    function registerChartSegments(inventory, entries) {
+        if (!chartSegments.has(inventory)) chartSegments.set(inventory, []);
+        const ref = new WeakRef(inventory);
+        for (const { segment, element } of entries) {
+            chartSegments.get(inventory).push({ segment, element: new WeakRef(element) });
+            chartCleanup.register(element, ref);
+        }
+    }
+
+    /**
+     * Highlight the segments matching a feature specification
+     * in every chart rendered from the given inventory that is in the document,
+     * removing any previous highlighting.
+     * If no features are given, only the previous highlighting is removed.
+     * 
+     * @param {Inventory} [inventory] - The Inventory the charts were rendered from.
+     * @param {Object.<string, string>} [features] - The feature specification to highlight.
+     * @private
+     */
+    function highlightSegments(inventory, features) {
+        document.querySelectorAll(".phonolo-highlight").forEach(elem => {
+            elem.classList.remove("phonolo-highlight");
+        });
+        if (!inventory || !features) return;
+
+        const bundle = new FeatureBundle(features);
+        for (const { segment, element: ref } of chartSegments.get(inventory) ?? []) {
+            const element = ref.deref();
+            if (element?.isConnected && bundle.matches(segment, {}, inventory)) {
+                element.classList.add("phonolo-highlight");
+            }
+        }
+    }
+
+    /**
+     * Make an element highlight the natural class of a feature specification
+     * in the charts rendered from inventory while hovered,
+     * and keep it highlighted when clicked, if FeatureBundle.linkCharts is true.
+     * 
+     * @param {HTMLElement} element - The element to listen on.
+     * @param {Inventory} inventory - The Inventory the charts were rendered from.
+     * @param {function} getFeatures - A function that returns the feature specification.
+     * @private
+     */
+    function addHighlight(element, inventory, getFeatures) {
+        element.addEventListener("mouseenter", e => {
+            if (FeatureBundle.linkCharts) highlightSegments(inventory, getFeatures());
+        });
+        element.addEventListener("mouseleave", e => {
+            if (FeatureBundle.linkCharts) highlightSegments(pinnedHighlight?.inventory, pinnedHighlight?.features);
+        });
+        element.addEventListener("click", e => {
+            if (!FeatureBundle.linkCharts) return;
+            const features = getFeatures();
+            const pinned = pinnedHighlight?.inventory === inventory &&
+                JSON.stringify(pinnedHighlight.features) === JSON.stringify(features);
+            pinnedHighlight = pinned ? null : { inventory, features: { ...features } };
+            highlightSegments(inventory, features);
+        });
+    }
+
+    /**
+     * Make the segment elements of a chart selectable.
+     * Clicking a segment element toggles whether it is selected.
+     * A panel showing the features shared by the selected segments is appended to container,
+     * unselected segments matching those features are highlighted, and
+     * a "phonolo-selectionchange" event is dispatched on container whenever the selection changes.
+     * 
+     * @param {(ConsonantTable|VowelChart)} chart - The chart whose selection is kept in sync.
+     * @param {HTMLElement} container - The element containing the chart.
+     * @param {Array.<{segment: Segment, element: Element}>} entries - The segments in the chart and their elements.
+     * @param {Inventory} inventory - The Inventory the segments come from.
+     * @private
+     */
+    function addSelection(chart, container, entries, inventory) {
+        const panel = document.createElement("div");
+        panel.classList.add("phonolo-selection");
+        container.appendChild(panel);
+
+        const update = () => {
+            const selected = new Set(chart.selection);
+            const features = inventory.getSharedFeatures(chart.selection);
+            const bundle = new FeatureBundle(features);
+            const natural = selected.size > 0 && inventory.getSegments(features).length === selected.size;
+
+            for (const { segment, element } of entries) {
+                element.classList.toggle("phonolo-selected", selected.has(segment));
+                element.classList.toggle("phonolo-match",
+                    selected.size > 0 && !selected.has(segment) && bundle.matches(segment));
+            }
+
+            const status = document.createElement("div");
+            status.classList.add("phonolo-selection-status");
+            panel.classList.toggle("phonolo-unnatural", selected.size > 0 && !natural);
+            if (!selected.size) {
+                status.innerText = "No segments selected";
+                panel.replaceChildren(status);
+            } else {
+                status.innerText = natural ? "Natural class" : "Not a natural class";
+                panel.replaceChildren(bundle.createElement(inventory), status);
+            }
+
+            container.dispatchEvent(new CustomEvent("phonolo-selectionchange", { detail: {
+                segments: chart.selection.slice(),
+                features,
+                natural
+            } }));
+        };
+
+        for (const { segment, element } of entries) {
+            element.classList.add("phonolo-interact", "phonolo-selectable");
+            element.addEventListener("click", e => {
+                const idx = chart.selection.indexOf(segment);
+                if (idx === -1) {
+                    chart.selection.push(segment);
+                } else {
+                    chart.selection.splice(idx, 1);
+                }
+                update();
+            });
+        }
+        update();
+    }
+
+    /**
+     * Parse a feature value as a variable such as "α" or "−α".
+     * 
+     * @param {string} value - The feature value.
+     * @returns {?{name: string, negated: boolean}} The variable, or null if value is not a variable.
+     * @private
+     */
+    function parseVariable(value) {
+        const match = /^([-−]?)([α-ω])$/u.exec(value ?? "");
+        return match && { name: match[2], negated: Boolean(match[1]) };
+    }
+
+    /**
+     * Return the opposite of a binary feature value, or null if it has no opposite.
+     * 
+     * @param {string} value - The feature value.
+     * @returns {?string} The opposite value.
+     * @private
+     */
+    function negateValue(value) {
+        return value === "+" ? "-" : value === "-" ? "+" : null;
+    }
+
+    /**
+     * Return the full feature specification of a segment:
+     * its specification in the feature system, overridden by the segment's own features.
+     * Segments of inventories made with Inventory.fromFeatureSystem
+     * may only be specified for their distinctive features.
+     * 
+     * @param {Segment} segment - The segment.
+     * @param {Inventory} [featureSystem] - The feature system.
+     * @returns {Object.<string, string>} The feature specification of segment.
+     * @private
+     */
+    function specification(segment, featureSystem) {
+        return { ...featureSystem?.segments[segment.symbol]?.features, ...segment.features };
+    }
+
+    /**
+     * Return a key identifying a feature specification regardless of the order of its features.
+     * 
+     * @param {Object.<string, string>} features - A feature specification.
+     * @returns {string} The key of the feature specification.
+     * @private
+     */
+    function specificationKey(features) {
+        return JSON.stringify(Object.entries(features).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+    }
+
+    /**
+     * Return a copy of a segment with its full feature specification,
+     * or the segment itself if there is no feature system.
+     * 
+     * @param {Segment} segment - The segment.
+     * @param {Inventory} [featureSystem] - The feature system.
+     * @returns {Segment} The fully specified segment.
+     * @private
+     */
+    function specifiedSegment(segment, featureSystem) {
+        return featureSystem ?
+            new Segment(segment.symbol, specification(segment, featureSystem), segment.name) :
+            segment;
+    }
+
+    /**
+     * The syllables of segment arrays that rules are matched against,
+     * by the Syllabifier that found them (or the Inventory, if it has no Syllabifier),
+     * with a copy of the segments they were found in so that changes to the arrays are noticed.
+     * 
+     * @type {WeakMap.<Array, Map.<Object, {segments: Array, syllables: Array.<Syllable>}>>}
+     * @private
+     */
+    const syllableCache = new WeakMap();
+
+    /**
+     * Return the syllables of segments as found by the Syllabifier of inventory,
+     * or the default Syllabifier if it has none.
+     * The syllables are cached for each array of segments and Syllabifier
+     * until the contents of the array change.
+     * 
+     * @param {Array.<(Segment|Suprasegmental|string)>} segments - The segments.
+     * @param {Inventory} [inventory] - Inventory whose Syllabifier is used.
+     * @returns {Array.<Syllable>} The syllables of segments.
+     * @private
+     */
+    function findSyllables(segments, inventory) {
+        const key = inventory?.syllabifier ?? inventory ?? Syllabifier;
+        if (!syllableCache.has(segments)) syllableCache.set(segments, new Map());
+        const cache = syllableCache.get(segments);
+        if (!cache.has(key) || !sameSegments(cache.get(key).segments, segments)) {
+            cache.set(key, {
+                segments: [...segments],
+                syllables: (inventory?.syllabifier ?? new Syllabifier()).syllabify(segments, inventory)
+            });
+        }
+        return cache.get(key).syllables;
+    }
+
+    /**
+     * A possible match of rule items against segments.
+     * 
+     * @typedef {Object} Match
+     * @property {number} end - The index (exclusive) at which the match ends.
+     * @property {Object.<string, string>} bindings - The values bound to variables by the match.
+     * @private
+     */
+
+    /**
+     * Remove duplicate matches.
+     * 
+     * @param {Array.<Match>} matches - The matches.
+     * @returns {Array.<Match>} The distinct matches.
+     * @private
+     */
+    function uniqueMatches(matches) {
+        const seen = new Set();
+        return matches.filter(match => {
+            const key = JSON.stringify([match.end, match.bindings]);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Match a sequence of rule items against segments starting at index pos
+     * and return the possible matches.
+     * An empty array is returned if there is no match.
+     * 
+     * @param {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>} pattern - The rule items to match.
+     * @param {Array.<(Segment|string)>} segments - The segments to match against.
+     * @param {number} pos - The index in segments to start matching at.
+     * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+     * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+     * @returns {Array.<Match>} The possible matches.
+     * @private
+     */
+    function matchSequence(pattern, segments, pos, bindings = {}, inventory) {
+        let matches = [{ end: pos, bindings }];
+        for (const item of pattern) {
+            matches = uniqueMatches(matches.flatMap(match =>
+                matchItem(item, segments, match.end, match.bindings, inventory)));
+            if (!matches.length) break;
+        }
+        return matches;
+    }
+
+    /**
+     * Match a single rule item against segments starting at index pos
+     * and return the possible matches.
+     * Suprasegmental tokens are skipped unless the item is itself a Suprasegmental.
+     * 
+     * @param {(Segment|FeatureBundle|Optional|Disjunction|Repetition)} item - The rule item to match.
+     * @param {Array.<(Segment|string)>} segments - The segments to match against.
+     * @param {number} pos - The index in segments to start matching at.
+     * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+     * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+     * @returns {Array.<Match>} The possible matches.
+     * @private
+     */
+    function matchItem(item, segments, pos, bindings = {}, inventory) {
+        if (item.matchAt) return item.matchAt(segments, pos, bindings, inventory);
+        // Suprasegmental tokens are transparent to segment items
+        while (segments[pos] instanceof Suprasegmental) pos++;
+        if (pos >= segments.length) return [];
+        if (item.bind) {
+            const bound = item.bind(segments[pos], bindings, inventory);
+            return bound ? [{ end: pos + 1, bindings: bound }] : [];
+        }
+        return item.matches(segments[pos], inventory) ? [{ end: pos + 1, bindings }] : [];
+    }
+
 
     /**
      * A class representing a feature system or a segment inventory.
      */
     class Inventory {
 
+        /**
+         * The default substitutions accepted when parsing transcriptions.
+         * Maps characters that are easily typed in place of IPA symbols to these symbols.
+         * 
+         * @static
+         * @type {Object.<string, string>}
+         */
+        static SUBSTITUTIONS = {
+            "g": "ɡ",
+            ":": "ː",
+            "'": "ˈ"
+        };
+
         /**
          * A dictionary of the segments in the inventory.
          * Maps segment symbol to Segment objects.
@@ -64,6 +490,16 @@
          */
         features = {};
 
+        /**
+         * A dictionary mapping feature specifications to the Segments in this Inventory
+         * that have exactly those features, for looking up Segments by their features.
+         * Keys are made with specificationKey.
+         * 
+         * @type {Object.<string, Array.<Segment>>}
+         * @private
+         */
+        specifications = {};
+
         /**
          * A reference to another Inventory instance that models
          * the feature system used by this inventory.
@@ -75,6 +511,41 @@
          */
         featureSystem;
 
+        /**
+         * The Syllabifier used to syllabify words and match syllable boundaries in rules
+         * with this Inventory.
+         * Optional; the default Syllabifier is used if missing.
+         * 
+         * @type {?Syllabifier}
+         */
+        syllabifier;
+
+        /**
+         * The phonotactic templates of this Inventory.
+         * Templates are sequences of rule items, given as arrays
+         * or as strings in rule notation (e.g. "[-sonorant] [+approximant]").
+         * onsets and codas list the possible onsets and codas (any are possible if missing;
+         * empty onsets and codas are always possible),
+         * maxOnset and maxCoda are the greatest numbers of segments in onsets and codas,
+         * and forbidden lists sequences that may not occur anywhere,
+         * which can refer to word boundaries (#), syllable boundaries (.)
+         * and syllable positions (@onset, @nucleus, @coda).
+         * Optional.
+         * 
+         * @type {?{onsets: ?Array.<(string|Array)>, codas: ?Array.<(string|Array)>,
+         *     maxOnset: ?number, maxCoda: ?number, forbidden: ?Array.<(string|Array)>}}
+         */
+        phonotactics;
+
+        /**
+         * The phonotactic templates parsed into rule items,
+         * with the phonotactics they were parsed from.
+         * 
+         * @type {?{phonotactics: Object, onsets: ?Array.<Array>, codas: ?Array.<Array>, forbidden: Array.<Array>}}
+         * @private
+         */
+        templates = null;
+
         /**
          * Return an Inventory object parsed from obj.
          * obj should have a member object named "features"
@@ -100,12 +571,30 @@
          *     An array of the places of articulation that this feature system classifies, in order.
          * @param {Array.<string>} [obj.manners] - 
          *     An array of the manners of articulation that this feature system classifies, in order.
+         * @param {Object.<string, Array.<string>>} [obj.geometry] - 
+         *     A feature geometry mapping class nodes to the features and nodes immediately dominated by them.
+         *     Class nodes need not be features themselves (e.g. an abstract PLACE node).
+         * @param {Object.<string, {name: string, features: Object.<string, string>}>} [obj.diacritics] - 
+         *     Diacritics that can follow segment symbols in transcriptions, by symbol.
+         *     Each has a name (e.g. "aspirated") and the feature values it overrides.
+         * @param {Object.<string, (string|Object)>} [obj.featureTypes] - 
+         *     The types of features, by feature name:
+         *     "binary" for features valued "+" or "-",
+         *     "privative" for features that are either present ("+") or absent, or
+         *     { type: "scalar", values: [...] } for n-ary features with the given values in order.
+         *     Any feature that is not privative may also have the value "0" (unspecified).
+         *     Features without a declared type can have any value.
+         *     Segments lacking a privative feature may omit it; any value other than "+" is removed.
          * @returns {Inventory} An Inventory object parsed from obj.
          */
         static fromObject(obj) {
             const segments = [];
             for (const symbol in obj.features) {
-                segments.push(new Segment(symbol, obj.features[symbol]));
+                const spec = { ...obj.features[symbol] };
+                for (const feat in spec) {
+                    if (obj.featureTypes?.[feat] === "privative" && spec[feat] !== "+") delete spec[feat];
+                }
+                segments.push(new Segment(symbol, spec));
             }
             const { features, ...rest } = obj;
             const inventory = new Inventory(segments);
@@ -113,6 +602,134 @@
             return Object.assign(inventory, rest);
         }
 
+        /**
+         * Check a feature system object, as taken by Inventory.fromObject, before use.
+         * The following problems are reported as errors:
+         * segments that do not specify the same features as the others,
+         * segments with identical feature specifications,
+         * feature values outside their declared domain
+         * (features without a declared type that use "+" or "-" are assumed to be binary), and
+         * classifyConsonant or classifyVowel throwing or returning malformed classifications.
+         * Segments classified as neither consonants nor vowels,
+         * privative features with values other than "+",
+         * and feature geometry nodes dominating unknown features are reported as warnings.
+         * 
+         * @param {Object} obj - The feature system object to check.
+         * @returns {ValidationReport} The problems found in obj.
+         */
+        static validate(obj) {
+            const errors = [];
+            const warnings = [];
+            const specs = Object.entries(obj.features ?? {});
+            const types = obj.featureTypes ?? {};
+            const typeOf = feat => typeof types[feat] === "object" ? types[feat]?.type : types[feat];
+
+            // Feature sets
+            const holders = {};
+            for (const [symbol, spec] of specs) {
+                for (const feat in spec) (holders[feat] ??= []).push(symbol);
+            }
+            for (const [feat, symbols] of Object.entries(holders)) {
+                if (typeOf(feat) === "privative" || symbols.length === specs.length) continue;
+                if (symbols.length < specs.length / 2) {
+                    errors.push({ type: "extra-feature", feature: feat, segments: symbols,
+                        message: `Feature "${feat}" is only specified for ${symbols.join(", ")}` });
+                } else {
+                    const missing = specs.map(([symbol]) => symbol).filter(symbol => !symbols.includes(symbol));
+                    errors.push({ type: "missing-feature", feature: feat, segments: missing,
+                        message: `Feature "${feat}" is not specified for ${missing.join(", ")}` });
+                }
+            }
+
+            // Identical specifications
+            const groups = {};
+            for (const [symbol, spec] of specs) {
+                const key = JSON.stringify(Object.entries(spec).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+                (groups[key] ??= []).push(symbol);
+            }
+            for (const symbols of Object.values(groups)) {
+                if (symbols.length > 1) {
+                    errors.push({ type: "duplicate", segments: symbols,
+                        message: `Segments ${symbols.join(", ")} have identical specifications` });
+                }
+            }
+
+            // Feature values
+            for (const feat in holders) {
+                const type = typeOf(feat);
+                const used = new Set(specs.map(([, spec]) => spec[feat]).filter(val => val !== undefined));
+                let domain;
+                if (type === "privative") {
+                    const other = holders[feat].filter(symbol => obj.features[symbol][feat] !== "+");
+                    if (other.length) {
+                        warnings.push({ type: "privative-value", feature: feat, segments: other,
+                            message: `Privative feature "${feat}" has values other than "+" for ${other.join(", ")}` });
+                    }
+                    continue;
+                } else if (type === "scalar") {
+                    domain = [...types[feat].values.map(String), "0"];
+                } else if (type === "binary" || used.has("+") || used.has("-")) {
+                    domain = ["+", "-", "0"];
+                } else {
+                    continue;
+                }
+                for (const val of used) {
+                    if (domain.includes(val)) continue;
+                    const symbols = holders[feat].filter(symbol => obj.features[symbol][feat] === val);
+                    errors.push({ type: "invalid-value", feature: feat, segments: symbols,
+                        message: `Value "${val}" of feature "${feat}" for ${symbols.join(", ")} is not one of ${domain.join(", ")}` });
+                }
+            }
+
+            // Classifications
+            const wellFormed = {
+                classifyConsonant: c =>
+                    typeof c.place === "string" && (!obj.places || obj.places.includes(c.place)) &&
+                    typeof c.manner === "string" && (!obj.manners || obj.manners.includes(c.manner)) &&
+                    Number.isFinite(c.voicing),
+                classifyVowel: v =>
+                    Number.isFinite(v.height) && v.height >= 0 && v.height <= 3 &&
+                    Number.isFinite(v.backness) && v.backness >= 0 && v.backness <= 2 &&
+                    typeof v.rounding === "boolean"
+            };
+            for (const [symbol, spec] of specs) {
+                const segment = new Segment(symbol, spec);
+                let classified = false;
+                for (const name in wellFormed) {
+                    if (!obj[name]) continue;
+                    let result;
+                    try {
+                        result = obj[name](segment);
+                    } catch (e) {
+                        errors.push({ type: "classification", segments: [symbol],
+                            message: `${name} throws for ${symbol}: ${e.message}` });
+                        continue;
+                    }
+                    if (!result) continue;
+                    classified = true;
+                    if (!wellFormed[name](result)) {
+                        errors.push({ type: "classification", segments: [symbol],
+                            message: `${name} returns a malformed classification for ${symbol}: ${JSON.stringify(result)}` });
+                    }
+                }
+                if (!classified && (obj.classifyConsonant || obj.classifyVowel)) {
+                    warnings.push({ type: "unclassified", segments: [symbol],
+                        message: `Segment ${symbol} is classified as neither a consonant nor a vowel` });
+                }
+            }
+
+            // Feature geometry
+            for (const [node, children] of Object.entries(obj.geometry ?? {})) {
+                const unknown = children.filter(child => !(child in holders) && !(child in obj.geometry));
+                if (unknown.length) {
+                    warnings.push({ type: "geometry", feature: node,
+                        message: `Node "${node}" dominates unknown features ${unknown.join(", ")}` });
+                }
+            }
+
+            return new ValidationReport(errors, warnings);
+        }
+
         /**
          * Return an Inventory object based off featureSystem that contains
          * all the given segments, which is taken in as an array of segment symbols.
@@ -148,6 +765,20 @@
             return new Inventory(phonemes, featureSystem);
         }
 
+        /**
+         * Return an Inventory object based off featureSystem that contains
+         * all the given segments, specified only for their contrastive features
+         * as determined by the Successive Division Algorithm with the given feature ordering.
+         * 
+         * @param {Inventory} featureSystem - The feature system used as a base.
+         * @param {Array.<string>} segments - The symbols of the Segments in featureSystem to use.
+         * @param {Array.<string>} ordering - The features in order of contrastive priority.
+         * @returns {Inventory} An Inventory object with contrastively specified Segments.
+         */
+        static fromContrastiveHierarchy(featureSystem, segments, ordering) {
+            return new ContrastiveHierarchy(featureSystem, segments, ordering).inventory;
+        }
+
         /**
          * Create a new Inventory with the given segments
          * and optionally based off the given feature system.
@@ -170,6 +801,9 @@
          */
         addSegment(segment) {
             this.segments[segment.symbol] = segment;
+            const key = specificationKey(segment.features);
+            if (!(key in this.specifications)) this.specifications[key] = [];
+            this.specifications[key].push(segment);
             for (const feat in segment.features) {
                 if (!(feat in this.features))
                     this.features[feat] = {};
@@ -184,404 +818,1833 @@
          * A feature specification is an object mapping features to feature values:
          * { feat1: val1, feat2: val2, ... }.
          * If no feature specification is given, return all Segments in this Inventory.
+         * A privative feature with any value other than "+" matches the Segments lacking it.
          * 
          * @param {Object.<string, string>} [features] - A feature specification.
          * @returns {Array.<Segment>} The Segments in this Inventory matching the given features.
          */
         getSegments(features) {
             return Object.entries(features ?? {}).reduce(
-                (prev, [feat, val]) => prev.filter(x => new Set(this.features[feat][val]).has(x)),
+                (prev, [feat, val]) => {
+                    if (this.getType(feat) === "privative" && val !== "+")
+                        return prev.filter(x => x.features[feat] !== "+");
+                    return prev.filter(x => new Set(this.features[feat]?.[val]).has(x));
+                },
                 Object.values(this.segments)
             );
         }
 
         /**
-         * Return the list of possible values for a feature.
+         * Find the Segment in this Inventory whose features match a feature specification.
+         * A Segment with exactly the specified features is looked up directly by its specification.
+         * If no Segment has all the given feature values, the nearest Segment is returned,
+         * i.e. the one differing from the specification in the fewest features,
+         * along with the features on which it differs.
+         * Among equally near Segments, those in the preferred Inventory (if given) come first,
+         * then the one with the fewest features not in the specification.
          * 
-         * @param {string} feature - The feature to find the possible values for.
-         * @returns {Array.<string>} The possible values in this Inventory for feature.
+         * @param {Object.<string, string>} features - A feature specification.
+         * @param {Inventory} [preferred] - An Inventory whose Segments are preferred, e.g. the phonemes of a language.
+         * @returns {{segment: ?Segment, exact: boolean, distance: number, mismatches: Object.<string, Array.<?string>>}}
+         *     The Segment found (null if this Inventory is empty),
+         *     whether its features exactly equal the specification,
+         *     the number of features on which it differs,
+         *     and the differing features mapped to the specified value and the Segment's value.
          */
-        getValues(feature) {
-            return Object.keys(this.features[feature]);
-        }
-
-        /**
-         * Parse the given string as a transcription using the Segments in this inventory
-         * and return an array of these Segments.
-         * 
-         * @throws Throws an error if the text cannot be fully parsed.
-         * @param {string} text - A string comprised of symbols of Segments in this Inventory.
-         * @returns {Array.<Segment>} Array of Segments from this Inventory corresponding to text.
-         */
-        parse(text) {
-            // Replacement pattern to escape all special regex symbols
-            // https://stackoverflow.com/questions/3561493/is-there-a-regexp-escape-function-in-javascript
-            const escape = /[-\/\\^$*+?.()|[\]{}]/g;
-
-            // Union of all the symbols in this.segments
-            const segmentRegex = new RegExp(`(${
-                Object.keys(this.segments)
-                    .sort()
-                    .reverse()
-                    .map(s => s.normalize().replace(escape, "\\$&"))
-                    .join("|")
-                })(\\s*)`, "uy"
-            );
+        findSegment(features, preferred) {
+            const entries = Object.entries(features);
+            const absent = feat => this.getType(feat) === "privative" && features[feat] !== "+";
+
+            // Look up the Segments with exactly the specification first,
+            // so that only specifications without one are compared with every Segment
+            const exact = this.specifications[specificationKey(
+                Object.fromEntries(entries.filter(([feat]) => !absent(feat))))] ?? [];
+            if (exact.length) {
+                const segment = exact.find(x => preferred && x.symbol in preferred.segments) ?? exact[0];
+                return { segment, exact: true, distance: 0, mismatches: {} };
+            }
 
-            const segments = [];
-            let result;
-            while (segmentRegex.lastIndex < text.length) {
-                result = segmentRegex.exec(text);
-                if (result) {
-                    segments.push(this.segments[result[1]]);
-                } else {
-                    throw new Error("Failed to parse string");
+            // Count matching feature values using the features index;
+            // a privative feature specified as absent matches every segment without it
+            const scores = new Map();
+            let absences = 0;
+            for (const [feat, val] of entries) {
+                if (absent(feat)) absences++;
+                for (const segment of this.features[feat]?.[absent(feat) ? "+" : val] ?? []) {
+                    scores.set(segment, (scores.get(segment) ?? 0) + (absent(feat) ? -1 : 1));
                 }
             }
-            return segments;
-        }
-
-    }
 
+            let best = null;
+            let bestScore = -Infinity;
+            let bestMember = false;
+            let bestExtra = Infinity;
+            for (const segment of Object.values(this.segments)) {
+                const score = (scores.get(segment) ?? 0) + absences;
+                const member = Boolean(preferred && segment.symbol in preferred.segments);
+                const extra = Object.keys(segment.features).filter(feat => !(feat in features)).length;
+                if (score > bestScore || score === bestScore &&
+                        (member > bestMember || member === bestMember && extra < bestExtra)) {
+                    best = segment;
+                    bestScore = score;
+                    bestMember = member;
+                    bestExtra = extra;
+                }
+            }
 
-    /**
-     * A class representing a phonological segment.
-     */
-    class Segment {
+            const mismatches = {};
+            if (best) {
+                for (const [feat, val] of entries) {
+                    const actual = best.features[feat];
+                    if (absent(feat) ? actual === "+" : actual !== val) mismatches[feat] = [val, actual];
+                }
+            }
+            const distance = Object.keys(mismatches).length;
+            return { segment: best, exact: Boolean(best) && !distance && !bestExtra, distance, mismatches };
+        }
 
         /**
-         * Null segment for use in rules.
+         * Return the declared type of a feature in this Inventory's feature system:
+         * "binary", "privative", "scalar", or undefined if the type is not declared.
          * 
-         * @static
-         * @constant
-         * @type {Segment}
+         * @param {string} feature - The feature to find the type of.
+         * @returns {?string} The type of feature.
          */
-        static NULL = new Segment("∅");
+        getType(feature) {
+            const type = (this.featureSystem ?? this).featureTypes?.[feature];
+            return typeof type === "object" ? type?.type : type;
+        }
 
         /**
-         * Generic consonant segment for use in rules.
+         * Return the list of possible values for a feature.
+         * If the feature has a declared type, the values are those allowed by the type
+         * (followed by "0" if it is used in this Inventory).
+         * Features without a declared type that use only "+", "-" and "0" are taken to be binary
+         * (as in Inventory.validate), so that e.g. [+stress] is possible
+         * even if every segment is [-stress];
+         * otherwise, the values are those used in this Inventory.
          * 
-         * @static
-         * @constant
-         * @type {Segment}
-         */
-        static C = new Segment("C");
-
-        /**
-         * Generic vowel segment for use in rules.
-         * 
-         * @static
-         * @constant
-         * @type {Segment}
-         */
-        static V = new Segment("V");
-
-        /**
-         * Word boundary segment for use in rules.
-         * 
-         * @static
-         * @constant
-         * @type {Segment}
+         * @param {string} feature - The feature to find the possible values for.
+         * @returns {Array.<string>} The possible values in this Inventory for feature.
          */
-        static WORD_BOUNDARY = new Segment("#");
+        getValues(feature) {
+            const used = Object.keys(this.features[feature] ?? {});
+            let values;
+            switch (this.getType(feature)) {
+                case "privative":
+                    return ["+"];
+                case "binary":
+                    values = ["+", "-"];
+                    break;
+                case "scalar":
+                    values = (this.featureSystem ?? this).featureTypes[feature].values.map(String);
+                    break;
+                default:
+                    if (!used.length || !used.every(x => ["+", "-", "0"].includes(x)) ||
+                            used.every(x => x === "0")) return used;
+                    values = ["+", "-"];
+            }
+            return used.includes("0") ? [...values, "0"] : values;
+        }
 
         /**
-         * The symbol used to transcribe this segment.
+         * Return all the features and class nodes dominated by a class node
+         * in the feature geometry of this Inventory's feature system, in depth-first order.
+         * Returns an empty array if the feature is not a class node
+         * or the feature system has no geometry.
          * 
-         * @type {string}
+         * @param {string} node - The class node.
+         * @returns {Array.<string>} The features and class nodes dominated by node.
          */
-        symbol;
+        getDependents(node) {
+            const geometry = (this.featureSystem ?? this).geometry ?? {};
+            return (geometry[node] ?? []).flatMap(child => [child, ...this.getDependents(child)]);
+        }
 
         /**
-         * The feature specification for this segment.
-         * Keys are feature names and values are feature values.
+         * Return the value a feature takes when a class node dominating it is delinked:
+         * "-" for class nodes, and otherwise the value most segments of the feature system
+         * lacking the feature's immediate class node have (e.g. [-round] for [-LABIAL] segments),
+         * or "0" if there are no such segments.
          * 
-         * @type {Object.<string, string>}
+         * @param {string} feature - A feature dominated by a class node.
+         * @returns {string} The value of feature under a delinked node.
          */
-        features = {};
+        getDelinkedValue(feature) {
+            const featureSystem = this.featureSystem ?? this;
+            if (featureSystem.getDependents(feature).length) return "-";
+            const geometry = featureSystem.geometry ?? {};
+            const parent = Object.keys(geometry).find(node => geometry[node].includes(feature));
+
+            const counts = new Map();
+            for (const segment of featureSystem.features[parent]?.["-"] ?? []) {
+                const value = segment.features[feature];
+                if (value !== undefined) counts.set(value, (counts.get(value) ?? 0) + 1);
+            }
+            return [...counts].reduce((best, entry) => entry[1] > best[1] ? entry : best, ["0", 0])[0];
+        }
 
         /**
-         * The name of this segment.
-         * Optional.
+         * Return the features on which two Segments in this Inventory differ.
+         * Keys are feature names and values are arrays containing
+         * the first Segment's value and the second Segment's value, in that order.
          * 
-         * @type {?string}
+         * @throws Throws an error if a segment is not in this Inventory.
+         * @param {(Segment|string)} a - A Segment or its symbol.
+         * @param {(Segment|string)} b - Another Segment or its symbol.
+         * @returns {Object.<string, Array.<?string>>} The differing features and their values.
          */
-        name;
+        compare(a, b) {
+            [a, b] = this.lookUp([a, b]);
+            return a.diff(b);
+        }
 
         /**
-         * Create a new Segment with the given symbol, features, and name.
-         * The features are given as a feature specification:
-         * { feat1: val1, feat2: val2, ... }
+         * Return the feature specification shared by all the given Segments,
+         * i.e. the features that have the same value in each of them.
          * 
-         * @param {string} symbol - The symbol used to transcribe this segment.
-         * @param {Object.<string, string>} features - The feature specification for this segment.
-         * @param {string} [name] - The name of this segment.
+         * @throws Throws an error if a segment is not in this Inventory.
+         * @param {Array.<(Segment|string)>} segments - The Segments or their symbols.
+         * @returns {Object.<string, string>} The shared feature specification.
          */
-        constructor(symbol, features, name) {
-            this.symbol = symbol.normalize();
-            if (features) this.features = features;
-            if (name) this.name = name;
+        getSharedFeatures(segments) {
+            const [first, ...rest] = this.lookUp(segments);
+            if (!first) return {};
+            return Object.fromEntries(Object.entries(first.features)
+                .filter(([feat, val]) => rest.every(segment => segment.features[feat] === val)));
         }
 
         /**
-         * Create and return a DOM element representing this Segment.
-         * If an inventory is provided, the created DOM element will be interactive.
+         * Describe the given Segments as a natural class.
+         * If the Segments form a natural class, i.e. there is a feature specification
+         * matching exactly these Segments in this Inventory,
+         * the smallest such feature specifications are returned as FeatureBundles.
+         * Otherwise, the FeatureBundle of the features they share is returned
+         * along with the closest superset of Segments matching it.
          * 
-         * @param {Inventory} [inventory] - An Inventory to reference for interactive details.
-         * @param {boolean} [svg=false] - True iff the returned element is to be used in an SVG.
-         * @returns {HTMLElement} A DOM element representing this Segment.
+         * @throws Throws an error if no segments are given or a segment is not in this Inventory.
+         * @param {Array.<(Segment|string)>} segments - The Segments or their symbols.
+         * @param {Object} [options]
+         * @param {number} [options.limit=10] - The maximum number of FeatureBundles to return.
+         * @returns {{natural: boolean, bundles: Array.<FeatureBundle>, superset: Array.<Segment>}}
+         *     Whether the Segments form a natural class, the FeatureBundles describing them,
+         *     and the Segments matching the shared features.
          */
-        createElement(inventory, svg = false) {
-            const elem = svg ?
-                document.createElementNS("http://www.w3.org/2000/svg", "tspan") :
-                document.createElement("span");
-            elem.classList.add("phonolo", "phonolo-segment");
-            elem.append(document.createTextNode(this.symbol));
+        describe(segments, { limit = 10 } = {}) {
+            segments = this.lookUp(segments);
+            if (!segments.length) throw new Error("No segments to describe");
+
+            const shared = this.getSharedFeatures(segments);
+            const superset = this.getSegments(shared);
+            if (superset.length !== new Set(segments).size) {
+                return { natural: false, bundles: [new FeatureBundle(shared)], superset };
+            }
 
-            if (inventory && this.features && Object.keys(this.features).length) {
-                elem.classList.add("phonolo-interact");
-                addPopup(elem, "click", () => this.createPopup(inventory));
+            // Represent sets of segments as bitmasks
+            const all = Object.values(this.segments);
+            const toMask = list => {
+                const members = new Set(list);
+                return all.reduce((mask, segment, i) => members.has(segment) ? mask | (1n << BigInt(i)) : mask, 0n);
+            };
+            const target = toMask(segments);
+            const entries = Object.entries(shared)
+                .map(([feat, val]) => ({ feat, val, mask: toMask(this.features[feat][val]) }))
+                .sort((a, b) => a.mask === b.mask ? 0 : a.mask < b.mask ? -1 : 1);
+
+            // Iterative deepening over combinations of shared features
+            const bundles = [];
+            const chosen = [];
+            const search = (start, mask, size) => {
+                if (chosen.length === size) {
+                    if (mask === target) {
+                        bundles.push(new FeatureBundle(Object.fromEntries(Object.entries(shared)
+                            .filter(([feat]) => chosen.some(entry => entry.feat === feat)))));
+                    }
+                    return;
+                }
+                for (let i = start; i < entries.length && bundles.length < limit; i++) {
+                    const next = mask & entries[i].mask;
+                    // A feature that does not narrow the class is redundant
+                    if (next === mask) continue;
+                    chosen.push(entries[i]);
+                    search(i + 1, next, size);
+                    chosen.pop();
+                }
+            };
+            for (let size = 0; size <= entries.length && !bundles.length; size++) {
+                search(0, toMask(all), size);
             }
 
-            return elem;
+            return { natural: true, bundles, superset };
         }
 
         /**
-         * Create and return a popup element for this Segment using info from a given inventory.
+         * Find the smallest sets of features that still distinguish every pair of Segments
+         * in this Inventory that can be distinguished at all.
+         * All the returned sets have the same, minimum size.
          * 
-         * @param {Inventory} inventory - The Inventory to use for the popup info.
-         * @returns {HTMLElement} The popup element.
-         * @private
+         * @param {Object} [options]
+         * @param {number} [options.limit=1] - The maximum number of feature sets to return.
+         * @returns {Array.<Array.<string>>} The minimal feature sets, each in this Inventory's feature order.
          */
-        createPopup(inventory) {
-            const popup = document.createElement("div");
-            popup.classList.add("phonolo");
-
-            let name = this.name;
-            if (!name) {
-                const cons = inventory.featureSystem?.classifyConsonant(this);
-                if (cons) {
-                    name = `${cons.voicing > 0 ? "voiced" : "voiceless"} ${cons.place} ${cons.manner}`;
+        minimalFeatureSets({ limit = 1 } = {}) {
+            const features = Object.keys(this.features);
+            const segments = Object.values(this.segments);
+
+            // Distinguishing features of each distinguishable pair as bitmasks,
+            // with the most constrained pairs first
+            const pairs = [];
+            for (let i = 0; i < segments.length; i++) {
+                for (let j = i + 1; j < segments.length; j++) {
+                    let mask = 0n;
+                    let count = 0;
+                    features.forEach((feat, k) => {
+                        if (segments[i].features[feat] !== segments[j].features[feat]) {
+                            mask |= 1n << BigInt(k);
+                            count++;
+                        }
+                    });
+                    if (count) pairs.push({ mask, count });
                 }
             }
-            if (!name) {
-                const vowel = inventory.featureSystem?.classifyVowel(this);
-                if (vowel) {
-                    name = 
-                        (vowel.rounding ? "rounded" : "unrounded") + " " +
-                        (
-                            vowel.height < 0.5 ? "high" :
-                            vowel.height === 0.5 ? "near-high" :
-                            vowel.height <  1.5 ? "close-mid" :
-                            vowel.height === 1.5 ? "mid" :
-                            vowel.height < 2.5 ? "open-mid" :
-                            "low"
-                        ) + " " +
-                        (
-                            vowel.backness < 0.5 ? "back" :
-                            vowel.backness === 0.5 ? "near-back" :
-                            vowel.backness < 1.5 ? "central" :
-                            vowel.backness === 1.5 ? "near-front" :
-                            "front"
-                        ) + " vowel";
+            pairs.sort((a, b) => a.count - b.count);
+
+            // Iterative deepening, branching on the features of the most constrained uncovered pair
+            const found = new Map();
+            const search = (chosen, remaining) => {
+                const pair = pairs.find(pair => !(pair.mask & chosen));
+                if (!pair) {
+                    found.set(chosen.toString(), chosen);
+                    return;
                 }
+                if (!remaining) return;
+                for (let k = 0; k < features.length && found.size < limit; k++) {
+                    const bit = 1n << BigInt(k);
+                    if (pair.mask & bit) search(chosen | bit, remaining - 1);
+                }
+            };
+            for (let size = 0; size <= features.length && !found.size; size++) {
+                search(0n, size);
             }
 
-            popup.innerHTML = `
-                <div class="phonolo-phonegrid">
-                    <div class="phonolo-symbol">
-                        ${this.symbol}
-                    </div>
-                    <div class="phonolo-name">
-                        ${name ?? ""}
-                    </div>
-                </div>
-            `;
-
-            if (this.features && Object.keys(this.features).length)
-                popup.appendChild(new FeatureBundle(this.features).createElement(inventory));
-
-            return popup;
+            return Array.from(found.values()).map(mask =>
+                features.filter((feat, k) => mask & (1n << BigInt(k))));
         }
 
-    }
-
-
-    /**
-     * A class representing a word with a phonetic/phonemic transcription.
-     */
-    class Word {
-
         /**
-         * The original text of the word.
+         * Return the Segments in this Inventory corresponding to the given Segments or symbols.
          * 
-         * @type {string}
+         * @throws Throws an error if a segment is not in this Inventory.
+         * @param {Array.<(Segment|string)>} segments - The Segments or their symbols.
+         * @returns {Array.<Segment>} The Segments in this Inventory.
+         * @private
          */
-        text;
+        lookUp(segments) {
+            return segments.map(segment => {
+                const symbol = typeof segment === "string" ? segment.normalize() : segment.symbol;
+                if (!(symbol in this.segments)) throw new Error(`Segment "${symbol}" is not in the inventory`);
+                return this.segments[symbol];
+            });
+        }
 
         /**
-         * Transcription of the word as an array of Segments.
+         * Parse the given string as a transcription using the Segments in this inventory
+         * and return an array of these Segments.
+         * A Segment may be followed by diacritics declared in the feature system,
+         * in which case a new Segment is composed with the diacritics' features
+         * overriding those of the base Segment.
+         * Symbols may also be spelled with the bottom tie bar (͜) instead of the top one (͡),
+         * without tie bars if untied is true, or with the characters in substitutions
+         * standing in for the symbols they map to.
+         * Symbols spelled exactly are preferred over other spellings of the same length.
+         * Suprasegmental tokens (stress and length marks, syllable breaks and prosodic boundaries)
+         * are kept in the result, and their features are given to the segments they apply to.
+         * In lenient mode, characters that cannot be parsed are kept
+         * in the result as strings instead.
          * 
-         * @type {Array.<(Segment|string)>}
+         * @throws {ParseError} Throws an error if the text cannot be fully parsed and lenient is false.
+         * @param {string} text - A string comprised of symbols of Segments in this Inventory.
+         * @param {Object} [options]
+         * @param {boolean} [options.lenient=false] - True iff unparseable characters should be kept as strings.
+         * @param {boolean} [options.untied=false] - True iff affricates can be spelled without a tie bar, e.g. "ts".
+         * @param {Object.<string, string>} [options.substitutions=Inventory.SUBSTITUTIONS] -
+         *     Characters accepted in place of symbols, mapped to the symbols.
+         * @returns {Array.<(Segment|Suprasegmental|string)>} Array of Segments from this Inventory corresponding to text.
          */
-        transcription;
+        parse(text, { lenient = false, untied = false, substitutions = Inventory.SUBSTITUTIONS } = {}) {
+            // Compare decomposed strings so that precomposed characters like ã
+            // are read as a base segment and a diacritic
+            const spell = entries => entries
+                .flatMap(([symbol, value]) => this.spellings(symbol, untied, substitutions)
+                    .map((spelling, k) => ({ spelling, value, exact: k === 0 })))
+                .sort((a, b) => b.spelling.length - a.spelling.length || b.exact - a.exact)
+                .map(({ spelling, value }) => [spelling, value]);
+            const symbols = spell(Object.entries(this.segments));
+            const diacritics = spell(Object.entries((this.featureSystem ?? this).diacritics ?? {})
+                .map(([symbol, diacritic]) => [symbol, [symbol, diacritic]]));
+            const suprasegmentals = spell(Object.keys(Suprasegmental.SYMBOLS).map(symbol => [symbol, symbol]));
+            const original = text;
+            text = text.normalize("NFD");
+            const findSymbol = pos => symbols.find(([symbol]) => text.startsWith(symbol, pos));
+
+            const segments = [];
+            let pos = text.search(/\S|$/u);
+            while (pos < text.length) {
+                const start = pos;
+                const token = suprasegmentals.find(([spelling]) => text.startsWith(spelling, pos));
+                if (token && !findSymbol(pos)) {
+                    segments.push(new Suprasegmental(token[1]));
+                    pos += token[0].length;
+                    while (/\s/u.test(text[pos] ?? "")) pos++;
+                    continue;
+                }
+
+                const found = findSymbol(pos);
+                if (found) {
+                    pos += found[0].length;
+                    const applied = [];
+                    let diacritic;
+                    while ((diacritic = diacritics.find(([symbol]) => text.startsWith(symbol, pos)))) {
+                        applied.push(diacritic);
+                        pos += diacritic[0].length;
+                    }
+                    // An unknown combining mark makes the whole segment unparseable
+                    if (!/\p{M}/u.test(text[pos] ?? "")) {
+                        segments.push(applied.length ?
+                            this.compose(found[1], applied.map(([, diacritic]) => diacritic)) :
+                            found[1]);
+                        while (/\s/u.test(text[pos] ?? "")) pos++;
+                        continue;
+                    }
+                }
+
+                // Take characters up to the next parseable symbol or space
+                pos = start + 1;
+                while (pos < text.length && (/\p{M}/u.test(text[pos]) ||
+                        !/\s/u.test(text[pos]) && !findSymbol(pos))) pos++;
+                const unparsed = text.slice(start, pos).normalize();
+                if (!lenient) {
+                    // Find the offset in the original text
+                    let offset = 0;
+                    while (original.slice(0, offset).normalize("NFD").length < start) offset++;
+                    throw new ParseError(original, offset, unparsed, this.suggest(unparsed));
+                }
+                segments.push(unparsed);
+                while (/\s/u.test(text[pos] ?? "")) pos++;
+            }
+            return this.applySuprasegmentals(segments);
+        }
 
         /**
-         * The inventory that the segments in the transcription belong to.
-         * Optional.
+         * Return a transcription with the features of its Suprasegmental tokens
+         * given to the segments they apply to.
+         * Only features in this Inventory's feature system are changed,
+         * and the Segments changed are replaced by new Segments with the same symbol.
          * 
-         * @type {?Inventory}
+         * @param {Array.<(Segment|Suprasegmental|string)>} segments - The transcription.
+         * @returns {Array.<(Segment|Suprasegmental|string)>} The transcription with the features applied.
+         * @private
          */
-        inventory;
+        applySuprasegmentals(segments) {
+            const featureSystem = this.featureSystem ?? this;
+            const result = [...segments];
+            result.forEach((token, i) => {
+                if (!(token instanceof Suprasegmental) || !token.target) return;
+                const features = Object.fromEntries(Object.entries(token.features)
+                    .filter(([feat]) => feat in featureSystem.features));
+                if (!Object.keys(features).length) return;
+
+                let j;
+                if (token.target === "previous") {
+                    j = i - 1;
+                } else {
+                    // The nucleus of the syllable the token begins
+                    j = result.findIndex((x, k) => k > i && (x instanceof Suprasegmental && x.type !== "length" ||
+                        x instanceof Segment && specification(x, featureSystem).syllabic === "+"));
+                }
+                const segment = result[j];
+                if (!(segment instanceof Segment) || !Object.keys(segment.features).length) return;
+                result[j] = new Segment(segment.symbol, { ...segment.features, ...features }, segment.name);
+            });
+            return result;
+        }
 
         /**
-         * The DOM element for this Word.
+         * Return the ways a symbol can be spelled in a transcription, decomposed,
+         * starting with the symbol itself.
          * 
-         * @type {HTMLElement}
+         * @param {string} symbol - The symbol.
+         * @param {boolean} untied - True iff tie bars can be left out.
+         * @param {Object.<string, string>} substitutions - Characters accepted in place of symbols.
+         * @returns {Array.<string>} The spellings of symbol.
          * @private
          */
-        element;
+        spellings(symbol, untied, substitutions) {
+            symbol = symbol.normalize("NFD");
+            const spellings = new Set([symbol, symbol.replaceAll("\u0361", "\u035C")]);
+            if (untied) spellings.add(symbol.replaceAll("\u0361", ""));
+            for (const [from, to] of Object.entries(substitutions)) {
+                for (const spelling of [...spellings]) {
+                    if (spelling.includes(to.normalize("NFD"))) {
+                        spellings.add(spelling.replaceAll(to.normalize("NFD"), from.normalize("NFD")));
+                    }
+                }
+            }
+            return [...spellings];
+        }
 
         /**
-         * Create a new Word with the given text and transcription.
+         * Return the symbols in this Inventory that look like the given characters:
+         * symbols listed as lookalikes of the first character in ParseError.LOOKALIKES,
+         * and symbols equal to the first character without its diacritics.
          * 
-         * @param {string} text - The original text of the word.
-         * @param {Array.<(Segment|string)>} transcription - Transcription of the word as an array of Segments.
-         * @param {Inventory} [inventory] - Inventory that the segments come from.
+         * @param {string} characters - The characters that could not be parsed.
+         * @returns {Array.<string>} The symbols of similar Segments in this Inventory.
+         * @private
          */
-        constructor(text, transcription, inventory) {
-            this.text = text;
-            this.transcription = transcription;
-            if (inventory) this.inventory = inventory;
+        suggest(characters) {
+            const [first] = characters.normalize("NFD");
+            const bare = characters.normalize("NFD").replace(/\p{M}/gu, "");
+            const candidates = [...(ParseError.LOOKALIKES[first] ?? []), bare, bare[0]];
+            return [...new Set(candidates)]
+                .map(symbol => symbol?.normalize())
+                .filter(symbol => symbol && symbol !== characters && symbol in this.segments);
         }
 
         /**
-         * Create a new DOM element representing this Word.
+         * Return the phonotactic templates of this Inventory parsed into rule items.
+         * They are only parsed again if the phonotactics have been replaced.
          * 
-         * @returns {HTMLElement} A new DOM element for this Word.
+         * @returns {{phonotactics: Object, onsets: ?Array.<Array>, codas: ?Array.<Array>, forbidden: Array.<Array>}}
+         *     The parsed templates.
          * @private
          */
-        createElement() {
-            this.element = document.createElement("span");
-            this.element.classList.add("phonolo", "phonolo-word");
-
-            this.element.addEventListener("mouseenter", e => this.showTranscription());
-            this.element.addEventListener("mouseleave", e => this.showText());
-
-            this.showText();
+        getTemplates() {
+            const { phonotactics } = this;
+            if (!this.templates || this.templates.phonotactics !== phonotactics) {
+                const { onsets, codas, forbidden = [] } = phonotactics ?? {};
+                const parse = template => typeof template === "string" ?
+                    new RuleParser(template, this).parsePattern() :
+                    template;
+                this.templates = { phonotactics, onsets: onsets?.map(parse), codas: codas?.map(parse),
+                    forbidden: forbidden.map(parse) };
+            }
+            return this.templates;
         }
 
         /**
-         * Get the DOM element for this Word.
+         * Check a transcription against the phonotactic templates of this Inventory
+         * and return the violations found.
+         * The transcription is syllabified with this Inventory's Syllabifier, or if it has none,
+         * a Syllabifier that only forms onsets and codas allowed by the templates.
+         * Violations span the segments from start to end (exclusive)
+         * as indices in the given transcription.
          * 
-         * @returns {HTMLElement} The DOM element for this Word.
+         * @param {Array.<(Segment|Suprasegmental|string)>} segments - The transcription to check.
+         * @returns {Array.<{type: string, start: number, end: number, message: string}>}
+         *     The violations, of type "onset", "coda", "max-onset", "max-coda" or "forbidden".
          */
-        getElement() {
-            if (!this.element) {
-                this.createElement();
+        checkPhonotactics(segments) {
+            const { maxOnset = Infinity, maxCoda = Infinity } = this.phonotactics ?? {};
+            const { onsets, codas, forbidden } = this.getTemplates();
+            const allowed = templates => templates && (cluster => templates.some(template =>
+                matchSequence(template, cluster, 0, {}, this).some(match => match.end === cluster.length)));
+            const onset = allowed(onsets);
+            const coda = allowed(codas);
+
+            const syllabifier = this.syllabifier ?? new Syllabifier({ onset, coda, maxOnset, maxCoda });
+            // Match syllable boundaries and positions in templates with the same syllabification
+            const context = Object.assign(Object.create(this), { syllabifier });
+            const violations = [];
+            const spell = cluster => `/${cluster.map(String).join("")}/`;
+            for (const syllable of syllabifier.syllabify(segments, this)) {
+                const end = syllable.start + syllable.onset.length;
+                const start = syllable.end - syllable.coda.length;
+                if (syllable.onset.length > maxOnset) {
+                    violations.push({ type: "max-onset", start: syllable.start, end,
+                        message: `Onset ${spell(syllable.onset)} has more than ${maxOnset} segments` });
+                } else if (syllable.onset.length && onset && !onset(syllable.onset)) {
+                    violations.push({ type: "onset", start: syllable.start, end,
+                        message: `Onset ${spell(syllable.onset)} is not allowed` });
+                }
+                if (syllable.coda.length > maxCoda) {
+                    violations.push({ type: "max-coda", start, end: syllable.end,
+                        message: `Coda ${spell(syllable.coda)} has more than ${maxCoda} segments` });
+                } else if (syllable.coda.length && coda && !coda(syllable.coda)) {
+                    violations.push({ type: "coda", start, end: syllable.end,
+                        message: `Coda ${spell(syllable.coda)} is not allowed` });
+                }
             }
-            return this.element;
+
+            // Forbidden sequences, with word boundaries around the transcription
+            const padded = [Segment.WORD_BOUNDARY, ...segments, Segment.WORD_BOUNDARY];
+            const found = new Set();
+            for (const pattern of forbidden) {
+                for (let pos = 0; pos < padded.length; pos++) {
+                    for (const match of matchSequence(pattern, padded, pos, {}, context)) {
+                        const start = Math.max(pos, 1) - 1;
+                        const end = Math.min(match.end, padded.length - 1) - 1;
+                        if (end <= start) continue;
+                        // Overlapping matches can cover the same segments
+                        if (!found.has(`${start},${end}`)) {
+                            found.add(`${start},${end}`);
+                            violations.push({ type: "forbidden", start, end,
+                                message: `Sequence ${spell(segments.slice(start, end))} is not allowed` });
+                        }
+                        break;
+                    }
+                }
+            }
+
+            return violations.sort((a, b) => a.start - b.start);
         }
 
         /**
-         * Make this Word's DOM element display the original text.
+         * Return a new Segment made of a base Segment in this Inventory followed by diacritics.
+         * Each diacritic's features override those of the base Segment in order,
+         * and the Segment is named after its classification and the diacritics.
          * 
+         * @param {Segment} base - The base Segment.
+         * @param {Array.<Array>} diacritics - The diacritic symbols and their declarations, in order.
+         * @returns {Segment} The composed Segment.
          * @private
          */
-        showText() {
-            this.element.innerText = this.text;
+        compose(base, diacritics) {
+            const features = { ...base.features };
+            for (const [, diacritic] of diacritics) Object.assign(features, diacritic.features);
+            const segment = new Segment(base.symbol + diacritics.map(([symbol]) => symbol).join(""), features);
+
+            // Name after the composed segment's own classification if it keeps the base's
+            // place and manner (secondary articulations can change the primary place),
+            // adding the diacritics that the classification does not already mention
+            const classify = (this.featureSystem ?? this).classifyConsonant;
+            const [before, after] = [base, segment].map(x => classify?.(x));
+            const name = (!before || before.place === after?.place && before.manner === after?.manner ?
+                segment.getName(this) : null) ?? base.getName(this) ?? base.symbol;
+            const words = name.split(" ");
+            const names = [...new Set(diacritics.map(([, diacritic]) => diacritic.name))]
+                .filter(x => x && !words.includes(x))
+                .reverse();
+            segment.name = [...names, name].join(" ");
+            return segment;
         }
 
         /**
-         * Make this Word's DOM element display the transcription.
+         * Return a Segment composed of a base Segment in this Inventory and one or two diacritics
+         * declared in its feature system, whose features match a feature specification,
+         * or null if there is none.
+         * Compositions with a single diacritic come first.
          * 
+         * @param {Object.<string, string>} features - A feature specification.
+         * @param {Inventory} [preferred] - An Inventory whose Segments are preferred as bases.
+         * @returns {?Segment} The composed Segment.
          * @private
          */
-        showTranscription() {
-            this.element.replaceChildren(...this.transcription.map(segment => {
-                if (typeof segment === "string") return segment;
-                return segment.createElement(this.inventory);
-            }));
+        composeSegment(features, preferred) {
+            const diacritics = Object.entries((this.featureSystem ?? this).diacritics ?? {});
+            const combinations = [
+                ...diacritics.map(diacritic => [diacritic]),
+                ...diacritics.flatMap((first, i) => diacritics.slice(i + 1).map(second => [first, second]))
+            ];
+            for (const combination of combinations) {
+                // Each diacritic must add only specified values
+                if (!combination.every(([, diacritic]) => Object.entries(diacritic.features)
+                    .every(([feat, val]) => features[feat] === val))) continue;
+                const added = Object.assign({}, ...combination.map(([, diacritic]) => diacritic.features));
+                const rest = Object.fromEntries(Object.entries(features).filter(([feat]) => !(feat in added)));
+                const { segment: base, distance } = this.findSegment(rest, preferred);
+                if (base && !distance) return this.compose(base, combination);
+            }
+            return null;
         }
 
     }
 
 
     /**
-     * A class representing a feature bundle.
+     * A class representing the result of validating a feature system.
      */
-    class FeatureBundle {
+    class ValidationReport {
 
         /**
-         * Feature specification for this feature bundle.
-         * A feature specification is an object mapping features to feature values:
-         * { feat1: val1, feat2: val2, ... }.
+         * The problems that make the feature system unusable or wrong.
+         * Each problem has a type, a message, and optionally
+         * the feature and the symbols of the segments involved.
          * 
-         * @type {Object.<string, string>}
+         * @type {Array.<{type: string, message: string, feature: ?string, segments: ?Array.<string>}>}
          */
-        features;
+        errors;
 
         /**
-         * Whether this feature bundle is editable.
+         * The problems that may be intentional.
+         * Each problem has a type, a message, and optionally
+         * the feature and the symbols of the segments involved.
          * 
-         * @type {boolean}
+         * @type {Array.<{type: string, message: string, feature: ?string, segments: ?Array.<string>}>}
          */
-        editable;
+        warnings;
 
         /**
-         * Stores the DOM element for this feature bundle if editable.
+         * Whether the feature system has no errors.
          * 
-         * @type {?HTMLElement}
-         * @private
+         * @type {boolean}
          */
-        element;
+        valid;
 
         /**
-         * Create a new FeatureBundle with the given features.
-         * If editable is true then the feature bundle element will be editable.
+         * Create a new ValidationReport with the given problems.
          * 
-         * @param {Object.<string, string>} features - Feature specification for the bundle.
-         * @param {boolean} [editable=false] - True iff the FeatureBundle is to be user-editable.
+         * @param {Array.<Object>} errors - The errors found.
+         * @param {Array.<Object>} warnings - The warnings found.
          */
-        constructor(features, editable = false) {
-            this.features = features;
-            this.editable = editable;
+        constructor(errors, warnings) {
+            this.errors = errors;
+            this.warnings = warnings;
+            this.valid = !errors.length;
         }
 
         /**
-         * Return a DOM element representing this FeatureBundle.
-         * If this FeatureBundle is editable, a new element will only be made
-         * if none already exists; otherwise, the cached element is returned.
-         * 
-         * If an inventory is given, the created element will interactively
-         * display info by referencing the given inventory.
-         * If this FeatureBundle is editable, the created element can be edited
-         * by dragging and dropping features into or out of it,
-         * and by clicking feature values to toggle them.
-         * If brackets is true (default), the bundle will be drawn with brackets.
+         * Create and return a new DOM element summarizing this ValidationReport.
          * 
-         * @param {Inventory} [inventory] - Inventory to use for interactive info.
-         * @param {boolean} [brackets=true] - True iff the element is to be drawn with brackets.
-         * @returns {HTMLElement} A DOM element for this FeatureBundle.
+         * @returns {HTMLElement} A DOM element for this ValidationReport.
          */
-        createElement(inventory, brackets = true) {
-            if (this.element) return this.element;
-            
+        createElement() {
             const elem = document.createElement("div");
-            elem.classList.add("phonolo", "phonolo-featurebundle");
-            if (this.editable) {
-                this.element = elem;
-                elem.classList.add("phonolo-droppable");
+            elem.classList.add("phonolo", "phonolo-validation");
+            if (!this.valid) elem.classList.add("phonolo-invalid");
+
+            const header = document.createElement("div");
+            header.classList.add("phonolo-validation-header");
+            const count = (n, noun) => `${n} ${noun}${n === 1 ? "" : "s"}`;
+            header.innerText = this.valid && !this.warnings.length ?
+                "No problems found" :
+                `${count(this.errors.length, "error")}, ${count(this.warnings.length, "warning")}`;
+            elem.appendChild(header);
+
+            const list = document.createElement("ul");
+            for (const [problems, cls] of [[this.errors, "phonolo-validation-error"], [this.warnings, "phonolo-validation-warning"]]) {
+                for (const problem of problems) {
+                    const li = document.createElement("li");
+                    li.classList.add(cls);
+                    li.innerText = problem.message;
+                    list.appendChild(li);
+                }
             }
+            if (list.children.length) elem.appendChild(list);
 
-            const createFeature = feature => {
-                const tr = document.createElement("tr");
-                tr.classList.add("phonolo-feature");
+            return elem;
+        }
 
-                const valEntry = document.createElement("td");
+    }
+
+
+    /**
+     * An error thrown when a transcription cannot be parsed.
+     */
+    class ParseError extends Error {
+
+        /**
+         * Characters that are easily confused with IPA symbols, or vice versa.
+         * Maps a character to the symbols that look like it.
+         * 
+         * @static
+         * @type {Object.<string, Array.<string>>}
+         */
+        static LOOKALIKES = {
+            "g": ["ɡ"], "ɡ": ["g"],
+            "a": ["ɑ"], "ɑ": ["a", "α"], "α": ["ɑ", "a"],
+            "ε": ["ɛ"], "ɛ": ["ε"],
+            "γ": ["ɣ"], "ɣ": ["γ"],
+            "φ": ["ɸ"], "ɸ": ["φ"],
+            "υ": ["ʊ", "ʋ"], "ʊ": ["υ"], "ʋ": ["υ"],
+            "ι": ["ɩ", "ɪ"], "I": ["ɪ"], "ɪ": ["I"],
+            "ǝ": ["ə"], "ə": ["ǝ"],
+            "∫": ["ʃ"], "ʃ": ["∫"],
+            "?": ["ʔ"], "ʔ": ["?"],
+            ":": ["ː"], "ː": [":"],
+            "'": ["ˈ"], "ˈ": ["'"],
+            "R": ["ʀ"], "N": ["ɴ"], "G": ["ɢ"], "L": ["ʟ"], "B": ["ʙ"],
+            "е": ["e"], "о": ["o"], "р": ["p"], "с": ["c"], "х": ["x"], "у": ["y"]
+        };
+
+        /**
+         * The text being parsed.
+         * 
+         * @type {string}
+         */
+        text;
+
+        /**
+         * The offset in text of the first character that could not be parsed.
+         * 
+         * @type {number}
+         */
+        offset;
+
+        /**
+         * The characters that could not be parsed.
+         * 
+         * @type {string}
+         */
+        characters;
+
+        /**
+         * Symbols in the inventory that look like the characters that could not be parsed.
+         * 
+         * @type {Array.<string>}
+         */
+        suggestions;
+
+        /**
+         * Create a new ParseError for the given characters at the given offset of a text.
+         * 
+         * @param {string} text - The text being parsed.
+         * @param {number} offset - The offset of the characters in text.
+         * @param {string} characters - The characters that could not be parsed.
+         * @param {Array.<string>} [suggestions=[]] - Symbols that look like characters.
+         */
+        constructor(text, offset, characters, suggestions = []) {
+            super(`Failed to parse "${characters}" at offset ${offset} of "${text}"${
+                suggestions.length ? `; did you mean ${suggestions.map(x => `"${x}"`).join(" or ")}?` : ""}`);
+            this.name = "ParseError";
+            this.text = text;
+            this.offset = offset;
+            this.characters = characters;
+            this.suggestions = suggestions;
+        }
+
+    }
+
+
+    /**
+     * A class representing a phonological segment.
+     */
+    class Segment {
+
+        /**
+         * Null segment for use in rules.
+         * 
+         * @static
+         * @constant
+         * @type {Segment}
+         */
+        static NULL = new Segment("∅");
+
+        /**
+         * Generic consonant segment for use in rules.
+         * 
+         * @static
+         * @constant
+         * @type {Segment}
+         */
+        static C = new Segment("C");
+
+        /**
+         * Generic vowel segment for use in rules.
+         * 
+         * @static
+         * @constant
+         * @type {Segment}
+         */
+        static V = new Segment("V");
+
+        /**
+         * Word boundary segment for use in rules.
+         * 
+         * @static
+         * @constant
+         * @type {Segment}
+         */
+        static WORD_BOUNDARY = new Segment("#");
+
+        /**
+         * The Segment whose popup was last opened by a click,
+         * used for comparing segments by shift-clicking.
+         * 
+         * @static
+         * @type {?Segment}
+         * @private
+         */
+        static lastClicked = null;
+
+        /**
+         * The symbol used to transcribe this segment.
+         * 
+         * @type {string}
+         */
+        symbol;
+
+        /**
+         * The feature specification for this segment.
+         * Keys are feature names and values are feature values.
+         * 
+         * @type {Object.<string, string>}
+         */
+        features = {};
+
+        /**
+         * The name of this segment.
+         * Optional.
+         * 
+         * @type {?string}
+         */
+        name;
+
+        /**
+         * Create a new Segment with the given symbol, features, and name.
+         * The features are given as a feature specification:
+         * { feat1: val1, feat2: val2, ... }
+         * 
+         * @param {string} symbol - The symbol used to transcribe this segment.
+         * @param {Object.<string, string>} features - The feature specification for this segment.
+         * @param {string} [name] - The name of this segment.
+         */
+        constructor(symbol, features, name) {
+            this.symbol = symbol.normalize();
+            if (features) this.features = features;
+            if (name) this.name = name;
+        }
+
+        /**
+         * Return true iff the given segment matches this Segment when used in a rule.
+         * The generic segments C and V match any [-syllabic] and [+syllabic] segment respectively,
+         * as specified in the feature system of inventory if given;
+         * any other Segment matches segments with the same symbol.
+         * 
+         * @param {(Segment|string)} segment - The segment to test.
+         * @param {Inventory} [inventory] - Inventory whose feature system specifies the segment.
+         * @returns {boolean} True iff segment matches this Segment.
+         */
+        matches(segment, inventory) {
+            if (!(segment instanceof Segment)) return false;
+            const syllabic = () => specification(segment, inventory?.featureSystem ?? inventory).syllabic;
+            if (this === Segment.C) return syllabic() === "-";
+            if (this === Segment.V) return syllabic() === "+";
+            return this.symbol === segment.symbol;
+        }
+
+        /**
+         * Return the features on which this Segment and another Segment differ.
+         * Keys are feature names and values are arrays containing
+         * this Segment's value and the other Segment's value, in that order.
+         * A feature missing from one of the Segments has an undefined value.
+         * 
+         * @param {Segment} other - The Segment to compare to.
+         * @returns {Object.<string, Array.<?string>>} The differing features and their values.
+         */
+        diff(other) {
+            const diff = {};
+            for (const feat of new Set([...Object.keys(this.features), ...Object.keys(other.features)])) {
+                if (this.features[feat] !== other.features[feat])
+                    diff[feat] = [this.features[feat], other.features[feat]];
+            }
+            return diff;
+        }
+
+        /**
+         * Create and return an element comparing this Segment to another Segment.
+         * The features of both Segments are shown side by side
+         * with the differing features highlighted.
+         * 
+         * @param {Segment} other - The Segment to compare to.
+         * @param {Inventory} [inventory] - An Inventory to reference for interactive details.
+         * @returns {HTMLElement} The comparison element.
+         */
+        createComparison(other, inventory) {
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-comparison");
+
+            const diff = this.diff(other);
+            const features = Array.from(new Set([...Object.keys(this.features), ...Object.keys(other.features)]));
+            for (const segment of [this, other]) {
+                const column = document.createElement("div");
+                column.classList.add("phonolo-comparison-segment");
+
+                const symbol = document.createElement("div");
+                symbol.classList.add("phonolo-symbol");
+                symbol.innerText = segment.symbol;
+                column.appendChild(symbol);
+
+                const bundle = new FeatureBundle(Object.fromEntries(
+                    features.map(feat => [feat, segment.features[feat] ?? ""])
+                )).createElement(inventory);
+                bundle.querySelectorAll(".phonolo-feature").forEach(tr => {
+                    if (tr.dataset.feature in diff) tr.classList.add("phonolo-different");
+                });
+                column.appendChild(bundle);
+
+                elem.appendChild(column);
+            }
+
+            return elem;
+        }
+
+        /**
+         * Return the symbol of this Segment.
+         * 
+         * @returns {string} The symbol of this Segment.
+         */
+        toString() {
+            return this.symbol;
+        }
+
+        /**
+         * Create and return a DOM element representing this Segment.
+         * If an inventory is provided, the created DOM element will be interactive.
+         * 
+         * @param {Inventory} [inventory] - An Inventory to reference for interactive details.
+         * @param {boolean} [svg=false] - True iff the returned element is to be used in an SVG.
+         * @returns {HTMLElement} A DOM element representing this Segment.
+         */
+        createElement(inventory, svg = false) {
+            const elem = svg ?
+                document.createElementNS("http://www.w3.org/2000/svg", "tspan") :
+                document.createElement("span");
+            elem.classList.add("phonolo", "phonolo-segment");
+            elem.append(document.createTextNode(this.symbol));
+
+            if (inventory && this.features && Object.keys(this.features).length) {
+                elem.classList.add("phonolo-interact");
+                addPopup(elem, "click", e => {
+                    // Shift-click compares with the segment clicked before
+                    if (e.shiftKey && Segment.lastClicked && Segment.lastClicked !== this)
+                        return Segment.lastClicked.createComparison(this, inventory);
+                    Segment.lastClicked = this;
+                    return this.createPopup(inventory);
+                });
+            }
+
+            return elem;
+        }
+
+        /**
+         * Create and return a popup element for this Segment using info from a given inventory.
+         * 
+         * @param {Inventory} inventory - The Inventory to use for the popup info.
+         * @returns {HTMLElement} The popup element.
+         * @private
+         */
+        createPopup(inventory) {
+            const popup = document.createElement("div");
+            popup.classList.add("phonolo");
+
+            const name = this.getName(inventory);
+            popup.innerHTML = `
+                <div class="phonolo-phonegrid">
+                    <div class="phonolo-symbol">
+                        ${this.symbol}
+                    </div>
+                    <div class="phonolo-name">
+                        ${name ?? ""}
+                    </div>
+                </div>
+            `;
+
+            if (this.features && Object.keys(this.features).length)
+                popup.appendChild(new FeatureBundle(this.features).createElement(inventory));
+
+            return popup;
+        }
+
+        /**
+         * Return the name of this Segment if it has one,
+         * or otherwise a name derived from its classification
+         * as a consonant or vowel in the given inventory's feature system.
+         * 
+         * @param {Inventory} inventory - The Inventory to classify this Segment with.
+         * @returns {?string} The name of this Segment, or null if it has none.
+         */
+        getName(inventory) {
+            let name = this.name;
+            if (!name) {
+                const cons = inventory.featureSystem?.classifyConsonant?.(this);
+                if (cons) {
+                    name = `${cons.voicing > 0 ? "voiced" : "voiceless"} ${cons.place} ${cons.manner}`;
+                }
+            }
+            if (!name) {
+                const vowel = inventory.featureSystem?.classifyVowel?.(this);
+                if (vowel) {
+                    name = 
+                        (vowel.rounding ? "rounded" : "unrounded") + " " +
+                        (
+                            vowel.height < 0.5 ? "high" :
+                            vowel.height === 0.5 ? "near-high" :
+                            vowel.height <  1.5 ? "close-mid" :
+                            vowel.height === 1.5 ? "mid" :
+                            vowel.height < 2.5 ? "open-mid" :
+                            "low"
+                        ) + " " +
+                        (
+                            vowel.backness < 0.5 ? "back" :
+                            vowel.backness === 0.5 ? "near-back" :
+                            vowel.backness < 1.5 ? "central" :
+                            vowel.backness === 1.5 ? "near-front" :
+                            "front"
+                        ) + " vowel";
+                }
+            }
+            return name ?? null;
+        }
+
+    }
+
+
+    /**
+     * A class representing a suprasegmental token in a transcription:
+     * a stress mark, a length mark, a syllable break, or a prosodic boundary.
+     */
+    class Suprasegmental {
+
+        /**
+         * The suprasegmental tokens recognized when parsing transcriptions, by symbol.
+         * Each has a type, a name, and the feature values it gives to an adjacent segment:
+         * the next [+syllabic] segment in the same syllable if target is "next",
+         * or the segment right before it if target is "previous".
+         * Secondary stress changes no features since stress is binary.
+         * 
+         * @static
+         * @type {Object.<string, {type: string, name: string, features: Object.<string, string>, target: ?string}>}
+         */
+        static SYMBOLS = {
+            "ˈ": { type: "stress", name: "primary stress", features: { "stress": "+" }, target: "next" },
+            "ˌ": { type: "stress", name: "secondary stress", features: {}, target: "next" },
+            "ː": { type: "length", name: "long", features: { "long": "+" }, target: "previous" },
+            ".": { type: "syllable", name: "syllable break", features: {} },
+            "|": { type: "boundary", name: "minor prosodic boundary", features: {} },
+            "‖": { type: "boundary", name: "major prosodic boundary", features: {} }
+        };
+
+        /**
+         * Syllable boundary for use in rules.
+         * 
+         * @static
+         * @constant
+         * @type {Suprasegmental}
+         */
+        static SYLLABLE_BOUNDARY = new Suprasegmental(".");
+
+        /**
+         * The symbol of this token.
+         * 
+         * @type {string}
+         */
+        symbol;
+
+        /**
+         * The type of this token: "stress", "length", "syllable" or "boundary".
+         * 
+         * @type {string}
+         */
+        type;
+
+        /**
+         * The name of this token.
+         * 
+         * @type {string}
+         */
+        name;
+
+        /**
+         * The feature values this token gives to an adjacent segment.
+         * 
+         * @type {Object.<string, string>}
+         */
+        features;
+
+        /**
+         * The adjacent segment this token applies its features to: "next", "previous", or null.
+         * 
+         * @type {?string}
+         */
+        target;
+
+        /**
+         * Create a new Suprasegmental token with the given symbol,
+         * which should be one of the keys of Suprasegmental.SYMBOLS.
+         * 
+         * @param {string} symbol - The symbol of the token.
+         */
+        constructor(symbol) {
+            const { type, name, features, target } = Suprasegmental.SYMBOLS[symbol];
+            this.symbol = symbol;
+            this.type = type;
+            this.name = name;
+            this.features = features;
+            this.target = target ?? null;
+        }
+
+        /**
+         * Match this token as a rule item against segments starting at index pos.
+         * A token matches the same token in segments;
+         * a syllable break also matches, without consuming anything, at the edges of syllables
+         * as found by the inventory's Syllabifier (or the default Syllabifier).
+         * 
+         * @param {Array.<(Segment|Suprasegmental|string)>} segments - The segments to match against.
+         * @param {number} pos - The index in segments to start matching at.
+         * @param {Object.<string, string>} bindings - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose Syllabifier is used.
+         * @returns {Array.<Match>} The possible matches.
+         * @private
+         */
+        matchAt(segments, pos, bindings, inventory) {
+            const matches = [];
+            if (segments[pos] instanceof Suprasegmental && segments[pos].symbol === this.symbol) {
+                matches.push({ end: pos + 1, bindings });
+            }
+            if (this.type === "syllable" && findSyllables(segments, inventory)
+                    .some(syllable => syllable.start === pos || syllable.end === pos)) {
+                matches.push({ end: pos, bindings });
+            }
+            return matches;
+        }
+
+        /**
+         * Return the symbol of this token.
+         * 
+         * @returns {string} The symbol of this token.
+         */
+        toString() {
+            return this.symbol;
+        }
+
+        /**
+         * Create and return a new DOM element representing this token.
+         * 
+         * @returns {HTMLElement} A DOM element for this token.
+         */
+        createElement() {
+            const elem = document.createElement("span");
+            elem.classList.add("phonolo", "phonolo-suprasegmental", `phonolo-${this.type}`);
+            elem.title = this.name;
+            elem.append(document.createTextNode(this.symbol));
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A class representing a word with a phonetic/phonemic transcription.
+     */
+    class Word {
+
+        /**
+         * The original text of the word.
+         * 
+         * @type {string}
+         */
+        text;
+
+        /**
+         * Transcription of the word as an array of Segments.
+         * 
+         * @type {Array.<(Segment|Suprasegmental|string)>}
+         */
+        transcription;
+
+        /**
+         * The inventory that the segments in the transcription belong to.
+         * Optional.
+         * 
+         * @type {?Inventory}
+         */
+        inventory;
+
+        /**
+         * The syllables of the transcription, if it has been syllabified.
+         * 
+         * @type {?Array.<Syllable>}
+         */
+        syllables = null;
+
+        /**
+         * The Syllabifier, Inventory and transcription that the syllables were found with.
+         * 
+         * @type {?{syllabifier: Syllabifier, inventory: ?Inventory, transcription: Array}}
+         * @private
+         */
+        syllabification = null;
+
+        /**
+         * The DOM element for this Word.
+         * 
+         * @type {HTMLElement}
+         * @private
+         */
+        element;
+
+        /**
+         * The phonotactic violations of the transcription,
+         * with the Inventory, transcription and phonotactics they were found with.
+         * 
+         * @type {?{inventory: Inventory, transcription: Array, phonotactics: Object, violations: Array.<Object>}}
+         * @private
+         */
+        violations = null;
+
+        /**
+         * Create a new Word with the given text and transcription.
+         * 
+         * @param {string} text - The original text of the word.
+         * @param {Array.<(Segment|Suprasegmental|string)>} transcription - Transcription of the word as an array of Segments.
+         * @param {Inventory} [inventory] - Inventory that the segments come from.
+         */
+        constructor(text, transcription, inventory) {
+            this.text = text;
+            this.transcription = transcription;
+            if (inventory) this.inventory = inventory;
+        }
+
+        /**
+         * Create a new DOM element representing this Word.
+         * 
+         * @returns {HTMLElement} A new DOM element for this Word.
+         * @private
+         */
+        createElement() {
+            this.element = document.createElement("span");
+            this.element.classList.add("phonolo", "phonolo-word");
+
+            this.element.addEventListener("mouseenter", e => this.showTranscription());
+            this.element.addEventListener("mouseleave", e => this.showText());
+
+            this.showText();
+        }
+
+        /**
+         * Get the DOM element for this Word.
+         * 
+         * @returns {HTMLElement} The DOM element for this Word.
+         */
+        getElement() {
+            if (!this.element) {
+                this.createElement();
+            }
+            return this.element;
+        }
+
+        /**
+         * Make this Word's DOM element display the original text.
+         * 
+         * @private
+         */
+        showText() {
+            this.element.innerText = this.text;
+        }
+
+        /**
+         * Make this Word's DOM element display the transcription.
+         * 
+         * @private
+         */
+        showTranscription() {
+            const elements = createTranscription(this.transcription, this.inventory);
+
+            // Underline phonotactic violations
+            if (this.inventory?.phonotactics) {
+                for (const { start, end, message } of this.getViolations()) {
+                    for (const elem of elements.slice(start, end)) {
+                        if (typeof elem === "string") continue;
+                        elem.classList.add("phonolo-violation");
+                        elem.title = elem.title ? `${elem.title}\n${message}` : message;
+                    }
+                }
+            }
+
+            // Mark syllable boundaries that are not already transcribed
+            const syllables = this.getSyllables() ?? [];
+            for (const [k, syllable] of syllables.entries()) {
+                if (!k) continue;
+                const between = this.transcription.slice(syllables[k - 1].end, syllable.start);
+                if (between.some(x => x instanceof Suprasegmental && x.type !== "length")) continue;
+                const elem = Suprasegmental.SYLLABLE_BOUNDARY.createElement();
+                elem.classList.add("phonolo-syllabified");
+                elements[syllable.start] = [elem, elements[syllable.start]];
+            }
+            this.element.replaceChildren(...elements.flat());
+        }
+
+        /**
+         * Return the phonotactic violations of the transcription in this Word's Inventory.
+         * They are only checked again if the Inventory, transcription or phonotactics have changed.
+         * 
+         * @returns {Array.<{type: string, start: number, end: number, message: string}>} The violations.
+         * @private
+         */
+        getViolations() {
+            const { inventory, transcription } = this;
+            const phonotactics = inventory.phonotactics;
+            if (this.violations?.inventory !== inventory || this.violations.transcription !== transcription ||
+                    this.violations.phonotactics !== phonotactics) {
+                this.violations = {
+                    inventory, transcription, phonotactics,
+                    violations: inventory.checkPhonotactics(transcription)
+                };
+            }
+            return this.violations.violations;
+        }
+
+        /**
+         * Syllabify the transcription of this Word and return its syllables.
+         * Syllable boundaries are then shown in the transcription.
+         * 
+         * @param {Syllabifier} [syllabifier] - The Syllabifier to use.
+         *     Defaults to the inventory's Syllabifier, or the default Syllabifier.
+         * @returns {Array.<Syllable>} The syllables of this Word.
+         */
+        syllabify(syllabifier = this.inventory?.syllabifier ?? new Syllabifier()) {
+            this.syllables = syllabifier.syllabify(this.transcription, this.inventory);
+            this.syllabification = { syllabifier, inventory: this.inventory, transcription: [...this.transcription] };
+            return this.syllables;
+        }
+
+        /**
+         * Return the syllables of the transcription of this Word,
+         * or null if it has not been syllabified.
+         * If the transcription or Inventory has changed since it was syllabified,
+         * it is syllabified again with the same Syllabifier.
+         * 
+         * @returns {?Array.<Syllable>} The syllables of this Word.
+         */
+        getSyllables() {
+            const { syllabifier, inventory, transcription } = this.syllabification ?? {};
+            if (syllabifier && (inventory !== this.inventory || !sameSegments(transcription, this.transcription))) {
+                this.syllabify(syllabifier);
+            }
+            return this.syllables;
+        }
+
+    }
+
+
+    /**
+     * A syllable of a transcription.
+     * 
+     * @typedef {Object} Syllable
+     * @property {Array.<Segment>} onset - The segments before the nucleus.
+     * @property {Array.<Segment>} nucleus - The segments forming the peak of the syllable.
+     * @property {Array.<Segment>} coda - The segments after the nucleus.
+     * @property {number} start - The index in the transcription of the first segment of the syllable.
+     * @property {number} end - The index in the transcription after the last segment of the syllable.
+     */
+
+    /**
+     * A class that divides transcriptions into syllables.
+     * Every [+syllabic] segment is the nucleus of a syllable
+     * (or, in a stretch without one, the segment highest in sonority),
+     * and consonants between nuclei are syllabified following the Maximal Onset Principle:
+     * as many as possible go into the onset of the following syllable,
+     * subject to the onset and coda constraints.
+     * Syllable breaks, stress marks and prosodic boundaries in the transcription are respected,
+     * and strings and special segments such as word boundaries separate words.
+     */
+    class Syllabifier {
+
+        /**
+         * Return the sonority of a segment on the scale
+         * stop (1) < affricate (2) < fricative (3) < nasal (4) < liquid (5) < glide (6) < vowel (7),
+         * computed from its syllabic, consonantal, approximant, sonorant, continuant and delayed release features.
+         * Segments without features have sonority 0.
+         * 
+         * @static
+         * @param {Segment} segment - The segment.
+         * @returns {number} The sonority of segment.
+         */
+        static sonority(segment) {
+            const f = segment.features ?? {};
+            if (!Object.keys(f).length) return 0;
+            if (f.consonantal === "-" && f.approximant === "+") return f.syllabic === "+" ? 7 : 6;
+            if (f.approximant === "+") return 5;
+            if (f.sonorant === "+") return 4;
+            if (f.continuant === "+") return 3;
+            if (f["delayed release"] === "+") return 2;
+            return 1;
+        }
+
+        /**
+         * The function giving the sonority of segments.
+         * 
+         * @type {function(Segment): number}
+         */
+        sonority;
+
+        /**
+         * The least rise in sonority between consecutive segments of an onset
+         * under the default onset constraint.
+         * 
+         * @type {number}
+         */
+        minRise;
+
+        /**
+         * The greatest number of segments in an onset.
+         * 
+         * @type {number}
+         */
+        maxOnset;
+
+        /**
+         * The greatest number of segments in a coda.
+         * 
+         * @type {number}
+         */
+        maxCoda;
+
+        /**
+         * Returns true iff the given segments form a possible onset.
+         * 
+         * @type {function(Array.<Segment>): boolean}
+         */
+        onset;
+
+        /**
+         * Returns true iff the given segments form a possible coda.
+         * 
+         * @type {function(Array.<Segment>): boolean}
+         */
+        coda;
+
+        /**
+         * Create a new Syllabifier with the given options.
+         * The onset and coda constraints can be given as functions
+         * taking an array of segments and returning true iff they form a possible onset or coda,
+         * or as arrays of the possible onsets or codas spelled as strings of symbols, e.g. ["pl", "st"].
+         * By default, onsets must rise in sonority and any coda is possible.
+         * The empty onset and coda are always possible.
+         * 
+         * @param {Object} [options]
+         * @param {function(Segment): number} [options.sonority=Syllabifier.sonority] - The sonority scale.
+         * @param {number} [options.minRise=1] - The least rise in sonority within onsets.
+         * @param {number} [options.maxOnset=Infinity] - The greatest number of segments in an onset.
+         * @param {number} [options.maxCoda=Infinity] - The greatest number of segments in a coda.
+         * @param {(function(Array.<Segment>): boolean|Array.<string>)} [options.onset] - The onset constraint.
+         * @param {(function(Array.<Segment>): boolean|Array.<string>)} [options.coda] - The coda constraint.
+         */
+        constructor({
+            sonority = Syllabifier.sonority,
+            minRise = 1,
+            maxOnset = Infinity,
+            maxCoda = Infinity,
+            onset,
+            coda
+        } = {}) {
+            this.sonority = sonority;
+            this.minRise = minRise;
+            this.maxOnset = maxOnset;
+            this.maxCoda = maxCoda;
+            const constraint = allowed => {
+                if (typeof allowed === "function") return allowed;
+                const spellings = new Set(allowed.map(x => x.normalize()));
+                return segments => spellings.has(segments.map(x => x.symbol).join(""));
+            };
+            this.onset = onset ? constraint(onset) : segments => segments.every((segment, i) =>
+                !i || this.sonority(segment) - this.sonority(segments[i - 1]) >= this.minRise);
+            this.coda = coda ? constraint(coda) : () => true;
+        }
+
+        /**
+         * Divide a transcription into syllables.
+         * 
+         * @param {Array.<(Segment|Suprasegmental|string)>} segments - The transcription.
+         * @param {Inventory} [inventory] - Inventory whose feature system specifies the segments,
+         *     for segments that are only specified for some features.
+         * @returns {Array.<Syllable>} The syllables of the transcription, in order.
+         */
+        syllabify(segments, inventory) {
+            const featureSystem = inventory?.featureSystem ?? inventory;
+            const specified = segments.map(segment =>
+                segment instanceof Segment ? specifiedSegment(segment, featureSystem) : segment);
+
+            // Split into stretches of segments between syllable breaks, stress marks and boundaries
+            const stretches = [];
+            let stretch = [];
+            specified.forEach((segment, i) => {
+                if (segment instanceof Segment && Object.keys(segment.features).length) {
+                    stretch.push(i);
+                } else if (!(segment instanceof Suprasegmental && segment.type === "length")) {
+                    stretches.push(stretch);
+                    stretch = [];
+                }
+            });
+            stretches.push(stretch);
+
+            return stretches.filter(x => x.length).flatMap(indices => {
+                const stretch = indices.map(i => specified[i]);
+                const original = indices.map(i => segments[i]);
+                let nuclei = stretch.flatMap((segment, i) => segment.features.syllabic === "+" ? [i] : []);
+                if (!nuclei.length) {
+                    const sonorities = stretch.map(this.sonority);
+                    nuclei = [sonorities.indexOf(Math.max(...sonorities))];
+                }
+
+                // Divide the consonants between each pair of nuclei
+                const starts = [0];
+                for (let k = 1; k < nuclei.length; k++) {
+                    starts.push(this.divide(stretch, nuclei[k - 1] + 1, nuclei[k]));
+                }
+
+                return nuclei.map((nucleus, k) => {
+                    const start = starts[k];
+                    const end = k + 1 < nuclei.length ? starts[k + 1] : stretch.length;
+                    return {
+                        onset: original.slice(start, nucleus),
+                        nucleus: [original[nucleus]],
+                        coda: original.slice(nucleus + 1, end),
+                        start: indices[start],
+                        end: indices[end - 1] + 1
+                    };
+                });
+            });
+        }
+
+        /**
+         * Return the index at which the consonants from start to end,
+         * which lie between two nuclei, are divided into a coda and an onset.
+         * The longest possible onset whose coda is also possible is chosen,
+         * or else the longest possible onset.
+         * 
+         * @param {Array.<Segment>} segments - The segments.
+         * @param {number} start - The index of the first consonant.
+         * @param {number} end - The index (exclusive) of the last consonant.
+         * @returns {number} The index of the first segment of the onset.
+         * @private
+         */
+        divide(segments, start, end) {
+            const possible = i =>
+                end - i <= this.maxOnset && (i === end || this.onset(segments.slice(i, end)));
+            let fallback = null;
+            for (let i = start; i <= end; i++) {
+                if (!possible(i)) continue;
+                if (i - start <= this.maxCoda && (i === start || this.coda(segments.slice(start, i)))) return i;
+                fallback ??= i;
+            }
+            return fallback ?? end;
+        }
+
+    }
+
+
+    /**
+     * A class representing a feature bundle.
+     */
+    class FeatureBundle {
+
+        /**
+         * Variable values that can be used in feature specifications, e.g. for assimilation rules.
+         * 
+         * @static
+         * @constant
+         * @type {Array.<string>}
+         */
+        static VARIABLES = ["α", "−α", "β", "−β", "γ", "−γ"];
+
+        /**
+         * Whether hovering or clicking a FeatureBundle element (or one of its features)
+         * highlights the matching segments in every ConsonantTable and VowelChart
+         * rendered from the same Inventory on the page.
+         * 
+         * @static
+         * @type {boolean}
+         */
+        static linkCharts = false;
+
+        /**
+         * Feature specification for this feature bundle.
+         * A feature specification is an object mapping features to feature values:
+         * { feat1: val1, feat2: val2, ... }.
+         * 
+         * @type {Object.<string, string>}
+         */
+        features;
+
+        /**
+         * Whether this feature bundle is editable.
+         * 
+         * @type {boolean}
+         */
+        editable;
+
+        /**
+         * Stores the DOM element for this feature bundle if editable.
+         * 
+         * @type {?HTMLElement}
+         * @private
+         */
+        element;
+
+        /**
+         * Create a new FeatureBundle with the given features.
+         * If editable is true then the feature bundle element will be editable.
+         * 
+         * @param {Object.<string, string>} features - Feature specification for the bundle.
+         * @param {boolean} [editable=false] - True iff the FeatureBundle is to be user-editable.
+         */
+        constructor(features, editable = false) {
+            this.features = features;
+            this.editable = editable;
+        }
+
+        /**
+         * Return true iff the given segment has every feature value in this FeatureBundle.
+         * The special segments used in rules (e.g. word boundaries) never match.
+         * Variable values such as "α" must agree with the given bindings.
+         * 
+         * @param {(Segment|string)} segment - The segment to test.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose feature geometry is used for class nodes.
+         * @returns {boolean} True iff segment matches this FeatureBundle.
+         */
+        matches(segment, bindings = {}, inventory) {
+            return this.bind(segment, bindings, inventory) !== null;
+        }
+
+        /**
+         * Match the given segment against this FeatureBundle and return the variable bindings.
+         * A variable such as "α" binds to the segment's value for that feature,
+         * and a negated variable such as "−α" binds to the opposite of the segment's value.
+         * A variable that is already bound must agree with its binding.
+         * 
+         * If the feature system of inventory has a feature geometry,
+         * a (non-negated) variable on a class node such as "PLACE" binds to
+         * the values of the node and all the features it dominates,
+         * so that the whole node can be spread by a rule.
+         * Segments are matched on their full specification in the feature system,
+         * so features that are not distinctive in inventory can still be matched.
+         * 
+         * @param {(Segment|string)} segment - The segment to match.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose feature geometry is used for class nodes.
+         * @returns {?Object.<string, string>} The new bindings, or null if segment does not match.
+         */
+        bind(segment, bindings = {}, inventory) {
+            if (!(segment instanceof Segment) || !Object.keys(segment.features).length) return null;
+            const featureSystem = inventory?.featureSystem ?? inventory;
+            const features = specification(segment, featureSystem);
+            const bound = { ...bindings };
+            for (const [feat, val] of Object.entries(this.features)) {
+                const actual = features[feat];
+                const variable = parseVariable(val);
+                if (!variable) {
+                    const absent = featureSystem?.getType(feat) === "privative" && val !== "+";
+                    if (absent ? actual === "+" : actual !== val) return null;
+                    continue;
+                }
+
+                let value;
+                const dependents = featureSystem?.getDependents(feat) ?? [];
+                if (dependents.length) {
+                    // Bind the whole subtree of a class node
+                    if (variable.negated) return null;
+                    value = JSON.stringify(Object.fromEntries([feat, ...dependents]
+                        .filter(x => x in features)
+                        .map(x => [x, features[x]])));
+                } else {
+                    value = variable.negated ? negateValue(actual) : actual;
+                }
+                if (value === undefined || value === null) return null;
+                if (!(variable.name in bound)) {
+                    bound[variable.name] = value;
+                } else if (bound[variable.name] !== value) {
+                    return null;
+                }
+            }
+            return bound;
+        }
+
+        /**
+         * Return the feature specification of this FeatureBundle
+         * with each variable replaced by its bound value.
+         * 
+         * If a feature geometry is given, a variable on a class node spreads
+         * the bound values of the node and its dependents, and
+         * a "-" value on a class node delinks it, i.e. every class node it dominates
+         * becomes "-" and every other feature it dominates takes the value
+         * it has in segments lacking its class node (see Inventory.getDelinkedValue).
+         * 
+         * @throws Throws an error if a variable is unbound.
+         * @param {Object.<string, string>} [bindings={}] - Values bound to variables.
+         * @param {Inventory} [featureSystem] - Feature system whose feature geometry is used for class nodes.
+         * @returns {Object.<string, string>} The feature specification without variables.
+         */
+        instantiate(bindings = {}, featureSystem) {
+            const features = {};
+            for (const [feat, val] of Object.entries(this.features)) {
+                const dependents = featureSystem?.getDependents(feat) ?? [];
+                const variable = parseVariable(val);
+                if (!variable) {
+                    if (dependents.length && val === "-") {
+                        for (const dependent of dependents) {
+                            features[dependent] = featureSystem.getDelinkedValue(dependent);
+                        }
+                    }
+                    if (!dependents.length || feat in featureSystem.features) features[feat] = val;
+                    continue;
+                }
+
+                if (!(variable.name in bindings)) throw new Error(`Unbound variable "${variable.name}"`);
+                const value = bindings[variable.name];
+                if (dependents.length && value.startsWith("{")) {
+                    Object.assign(features, JSON.parse(value));
+                } else {
+                    features[feat] = variable.negated ? negateValue(value) ?? value : value;
+                }
+            }
+            // Drop dependents of delinked abstract nodes that are not in the feature system
+            if (featureSystem) {
+                for (const feat in features) {
+                    if (!(feat in featureSystem.features)) delete features[feat];
+                }
+            }
+            return features;
+        }
+
+        /**
+         * Return this FeatureBundle in text notation, e.g. "[-voice, +nasal]".
+         * 
+         * @returns {string} This FeatureBundle in text notation.
+         */
+        toString() {
+            return `[${Object.entries(this.features).map(([feat, val]) => `${val}${feat}`).join(", ")}]`;
+        }
+
+        /**
+         * Return a DOM element representing this FeatureBundle.
+         * If this FeatureBundle is editable, a new element will only be made
+         * if none already exists; otherwise, the cached element is returned.
+         * 
+         * If an inventory is given, the created element will interactively
+         * display info by referencing the given inventory.
+         * If this FeatureBundle is editable, the created element can be edited
+         * by dragging and dropping features into or out of it,
+         * and by clicking feature values to toggle them.
+         * If brackets is true (default), the bundle will be drawn with brackets.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @param {boolean} [brackets=true] - True iff the element is to be drawn with brackets.
+         * @returns {HTMLElement} A DOM element for this FeatureBundle.
+         */
+        createElement(inventory, brackets = true) {
+            if (this.element) return this.element;
+            
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-featurebundle");
+            if (this.editable) {
+                this.element = elem;
+                elem.classList.add("phonolo-droppable");
+            }
+
+            const createFeature = feature => {
+                const tr = document.createElement("tr");
+                tr.classList.add("phonolo-feature");
+                tr.dataset.feature = feature;
+
+                const valEntry = document.createElement("td");
                 valEntry.classList.add("phonolo-feature-value");
-                valEntry.innerText = this.features[feature];
+                valEntry.innerText = this.formatValue(feature, this.features[feature], inventory);
                 tr.appendChild(valEntry);
+                tr.classList.toggle("phonolo-feature-absent",
+                    inventory?.getType(feature) === "privative" && this.features[feature] !== "+");
                 
                 const featEntry = document.createElement("td");
                 featEntry.classList.add("phonolo-feature-feature");
@@ -592,274 +2655,1741 @@
                 if (inventory && this.editable) {
                     valEntry.classList.add("phonolo-edit");
                     valEntry.addEventListener("click", e => {
-                        const vals = inventory.getValues(feature);
+                        // Privative features toggle between present ("+") and absent ("-")
+                        if (inventory.getType(feature) === "privative") {
+                            this.features[feature] = this.features[feature] === "+" ? "-" : "+";
+                            valEntry.innerText = this.formatValue(feature, this.features[feature], inventory);
+                            tr.classList.toggle("phonolo-feature-absent", this.features[feature] !== "+");
+                            return;
+                        }
+
+                        // Scalar values have no opposites, so negated variables could never be bound
+                        const variables = inventory.getType(feature) === "scalar" ?
+                            FeatureBundle.VARIABLES.filter(x => !parseVariable(x).negated) :
+                            FeatureBundle.VARIABLES;
+                        const vals = [...inventory.getValues(feature), ...variables];
                         let idx = vals.findIndex(x => x === this.features[feature]);
                         if (idx === -1) throw new Error("Invalid feature value");
                         idx = (idx + 1) % vals.length;
-                        valEntry.innerText = vals[idx];
+                        valEntry.innerText = this.formatValue(feature, vals[idx], inventory);
                         this.features[feature] = vals[idx];
                     });
                 }
 
-                // Add popup on click
-                if (inventory) {
-                    tr.classList.add("phonolo-interact");
-                    addPopup(tr, "click", () => this.createPopup({[feature]: this.features[feature]}, inventory));
+                // Add popup on click
+                if (inventory) {
+                    tr.classList.add("phonolo-interact");
+                    addPopup(tr, "click", () => this.createPopup({[feature]: this.features[feature]}, inventory));
+                    addHighlight(tr, inventory, () => ({[feature]: this.features[feature]}));
+                }
+
+                // Drag and drop features
+                tr.addEventListener("mousedown", e => {
+                    // Check if left mouse button
+                    if (e.button !== 0) return;
+
+                    const shiftX = e.clientX - tr.getBoundingClientRect().left;
+                    const shiftY = e.clientY - tr.getBoundingClientRect().top;
+
+                    const dragging = this.editable ? tr : tr.cloneNode(true);
+
+                    let currTarget = null;                    
+                    const onmousemove = e => {
+                        e.preventDefault();
+
+                        if (!dragging.classList.contains("phonolo-drag")) {
+                            dragging.classList.add("phonolo-drag");
+                            if (!this.editable) tr.after(dragging);
+                        }
+
+                        dragging.style.left = `${e.clientX - shiftX}px`;
+                        dragging.style.top = `${e.clientY - shiftY}px`;
+
+                        const below = document.elementsFromPoint(e.clientX, e.clientY);
+                        if (!below.length) return;
+                        
+                        const newTarget = below.find(el => el.matches(".phonolo-featurebundle.phonolo-droppable"));
+                        if (currTarget !== newTarget) {
+                            currTarget?.classList.remove("phonolo-hovering");
+                            currTarget = newTarget;
+                            currTarget?.classList.add("phonolo-hovering");
+                        }
+                    };
+                    document.addEventListener("mousemove", onmousemove);
+
+                    document.addEventListener("mouseup", e => {
+                        document.removeEventListener("mousemove", onmousemove);
+                        if (dragging.classList.contains("phonolo-drag")) {
+                            dragging.classList.remove("phonolo-drag");
+                            currTarget?.classList.remove("phonolo-hovering");
+                            if (currTarget === elem) return;
+                            if (currTarget) {
+                                const event = new CustomEvent("phonolo-featuredrop", { detail: {
+                                    feature: feature,
+                                    value: this.features[feature]
+                                } });
+                                currTarget.dispatchEvent(event);
+                            }
+                            dragging.remove();
+                            if (this.editable) {
+                                delete this.features[feature];
+                            }
+                        }
+                    }, { once: true });
+                });
+
+                return tr;
+            };
+
+            const list = document.createElement("table");
+            list.classList.add("phonolo-features");
+            for (const feature in this.features) {
+                list.appendChild(createFeature(feature));
+            }
+            elem.appendChild(list);
+
+            if (brackets) {
+                const left = document.createElement("div");
+                left.classList.add("phonolo-bracket-left");
+                
+                const right = document.createElement("div");
+                right.classList.add("phonolo-bracket-right");
+
+                list.before(left);
+                list.after(right);
+
+                if (inventory) {
+                    for (const bracket of [left, right]) {
+                        bracket.classList.add("phonolo-interact");
+                        addPopup(bracket, "click", () => this.createPopup(this.features, inventory));
+                        addHighlight(bracket, inventory, () => this.features);
+                        bracket.addEventListener("mouseenter", e => {
+                            left.classList.add("phonolo-active");
+                            right.classList.add("phonolo-active");
+                        });
+                        bracket.addEventListener("mouseleave", e => {
+                            left.classList.remove("phonolo-active");
+                            right.classList.remove("phonolo-active");
+                        });
+                    }
+                }
+            }
+
+            // Handle feature dropping
+            if (this.editable) {
+                elem.addEventListener("phonolo-featuredrop", ({ detail : { feature, value } }) => {
+                    this.features[feature] = value;
+                    for (const tr of list.children) {
+                        if (tr.lastElementChild.innerText === feature) {
+                            tr.firstElementChild.innerText = this.formatValue(feature, value, inventory);
+                            return;
+                        }
+                    }
+                    list.appendChild(createFeature(feature));
+                });
+            }
+
+            return elem;
+        }
+
+        /**
+         * Return the text displayed for a feature value.
+         * Privative features that are present are displayed without a value.
+         * 
+         * @param {string} feature - The feature.
+         * @param {string} value - The value of feature.
+         * @param {Inventory} [inventory] - Inventory whose feature system declares the feature types.
+         * @returns {string} The text to display for value.
+         * @private
+         */
+        formatValue(feature, value, inventory) {
+            return inventory?.getType(feature) === "privative" && value === "+" ? "" : value;
+        }
+
+        /**
+         * Create and return a popup element for this FeatureBundle.
+         * 
+         * @param {Object.<string, string>} features - Feature specification for the popup.
+         * @param {Inventory} inventory - Inventory to use for the popup info.
+         * @returns {HTMLElement} - A popup element.
+         * @private
+         */
+        createPopup(features, inventory) {
+            const popup = document.createElement("div");
+            popup.classList.add("phonolo", "phonolo-naturalclass");
+
+            const entries = Object.entries(features);
+            let innerText;
+            if (entries.length === 1) {
+                innerText = `${this.formatValue(entries[0][0], entries[0][1], inventory)}${entries[0][0]}`;
+            } else {
+                innerText = "these features";
+            }
+
+            // Variables match any value
+            const segments = inventory.getSegments(Object.fromEntries(
+                entries.filter(([feat, val]) => !parseVariable(val))
+            ));
+
+            if (segments.length) {
+                popup.innerHTML =
+                    `<div class="phonolo-naturalclass-header">
+                        Segments with ${innerText}:
+                    </div>`;
+
+                const list = document.createElement("div");
+                list.classList.add("phonolo-naturalclass-segments");
+                for (const segment of segments) {
+                    list.appendChild(segment.createElement(inventory));
+                    list.append(", ");
+                }
+                list.lastChild.remove();
+                popup.appendChild(list);
+            } else {
+                popup.innerHTML = 
+                    `<div class="phonolo-naturalclass-header">
+                        No segments with ${innerText}.
+                    </div>`;
+            }
+
+            return popup;
+        }
+
+    }
+
+
+    /**
+     * A class representing an optional sequence in a rule environment,
+     * written in parentheses, e.g. (C).
+     */
+    class Optional {
+
+        /**
+         * The optional items.
+         * 
+         * @type {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>}
+         */
+        items;
+
+        /**
+         * Create a new Optional with the given items.
+         * 
+         * @param {(Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>|(Segment|FeatureBundle|Optional|Disjunction|Repetition))} items -
+         *     The optional items.
+         */
+        constructor(items) {
+            this.items = Array.isArray(items) ? items : [items];
+        }
+
+        /**
+         * Match this Optional against segments starting at index pos
+         * and return the possible matches.
+         * 
+         * @param {Array.<(Segment|string)>} segments - The segments to match against.
+         * @param {number} pos - The index in segments to start matching at.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+         * @returns {Array.<{end: number, bindings: Object.<string, string>}>} The possible matches.
+         */
+        matchAt(segments, pos, bindings = {}, inventory) {
+            return uniqueMatches([{ end: pos, bindings }, ...matchSequence(this.items, segments, pos, bindings, inventory)]);
+        }
+
+        /**
+         * Return this Optional in text notation.
+         * 
+         * @returns {string} This Optional in text notation.
+         */
+        toString() {
+            return `(${this.items.map(item => item.toString()).join(" ")})`;
+        }
+
+        /**
+         * Create and return a new DOM element representing this Optional.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @returns {HTMLElement} DOM element for this Optional.
+         */
+        createElement(inventory) {
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-rule-optional");
+
+            const left = document.createElement("div");
+            left.classList.add("phonolo-parenthesis-left");
+            elem.appendChild(left);
+
+            this.items.forEach(item => {
+                elem.appendChild(item.createElement(inventory));
+            });
+
+            const right = document.createElement("div");
+            right.classList.add("phonolo-parenthesis-right");
+            elem.appendChild(right);
+
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A class representing alternative sequences in a rule environment,
+     * written in braces, e.g. {#, C}.
+     */
+    class Disjunction {
+
+        /**
+         * The alternative sequences.
+         * 
+         * @type {Array.<Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>>}
+         */
+        options;
+
+        /**
+         * Create a new Disjunction with the given alternatives.
+         * 
+         * @param {Array.<(Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>|(Segment|FeatureBundle|Optional|Disjunction|Repetition))>} options -
+         *     The alternative sequences.
+         */
+        constructor(options) {
+            this.options = options.map(option => Array.isArray(option) ? option : [option]);
+        }
+
+        /**
+         * Match this Disjunction against segments starting at index pos
+         * and return the possible matches.
+         * 
+         * @param {Array.<(Segment|string)>} segments - The segments to match against.
+         * @param {number} pos - The index in segments to start matching at.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+         * @returns {Array.<{end: number, bindings: Object.<string, string>}>} The possible matches.
+         */
+        matchAt(segments, pos, bindings = {}, inventory) {
+            return uniqueMatches(this.options.flatMap(option => matchSequence(option, segments, pos, bindings, inventory)));
+        }
+
+        /**
+         * Return this Disjunction in text notation.
+         * 
+         * @returns {string} This Disjunction in text notation.
+         */
+        toString() {
+            return `{${this.options.map(option => option.map(item => item.toString()).join(" ")).join(", ")}}`;
+        }
+
+        /**
+         * Create and return a new DOM element representing this Disjunction.
+         * The alternatives are stacked vertically between braces.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @returns {HTMLElement} DOM element for this Disjunction.
+         */
+        createElement(inventory) {
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-rule-disjunction");
+
+            const left = document.createElement("div");
+            left.classList.add("phonolo-brace-left");
+            elem.appendChild(left);
+
+            const list = document.createElement("div");
+            list.classList.add("phonolo-rule-options");
+            this.options.forEach(option => {
+                const row = document.createElement("div");
+                row.classList.add("phonolo-rule-option");
+                option.forEach(item => {
+                    row.appendChild(item.createElement(inventory));
+                });
+                list.appendChild(row);
+            });
+            elem.appendChild(list);
+
+            const right = document.createElement("div");
+            right.classList.add("phonolo-brace-right");
+            elem.appendChild(right);
+
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A class representing a repeated item in a rule environment,
+     * written with a subscript minimum and optional superscript maximum, e.g. C₀ or C₁².
+     */
+    class Repetition {
+
+        /**
+         * Digits used to write the minimum number of repetitions.
+         * 
+         * @static
+         * @constant
+         * @type {string}
+         */
+        static SUBSCRIPTS = "₀₁₂₃₄₅₆₇₈₉";
+
+        /**
+         * Digits used to write the maximum number of repetitions.
+         * 
+         * @static
+         * @constant
+         * @type {string}
+         */
+        static SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+        /**
+         * The repeated item.
+         * 
+         * @type {(Segment|FeatureBundle|Optional|Disjunction)}
+         */
+        item;
+
+        /**
+         * The minimum number of repetitions.
+         * 
+         * @type {number}
+         */
+        min;
+
+        /**
+         * The maximum number of repetitions.
+         * Infinity if there is no maximum.
+         * 
+         * @type {number}
+         */
+        max;
+
+        /**
+         * Create a new Repetition of the given item.
+         * 
+         * @param {(Segment|FeatureBundle|Optional|Disjunction)} item - The repeated item.
+         * @param {number} [min=0] - The minimum number of repetitions.
+         * @param {number} [max=Infinity] - The maximum number of repetitions.
+         */
+        constructor(item, min = 0, max = Infinity) {
+            this.item = item;
+            this.min = min;
+            this.max = max;
+        }
+
+        /**
+         * Match this Repetition against segments starting at index pos
+         * and return the possible matches.
+         * 
+         * @param {Array.<(Segment|string)>} segments - The segments to match against.
+         * @param {number} pos - The index in segments to start matching at.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+         * @returns {Array.<{end: number, bindings: Object.<string, string>}>} The possible matches.
+         */
+        matchAt(segments, pos, bindings = {}, inventory) {
+            const matches = [];
+            let frontier = [{ end: pos, bindings }];
+            for (let count = 0; count <= this.max && frontier.length && count <= segments.length; count++) {
+                if (count >= this.min) matches.push(...frontier);
+                frontier = uniqueMatches(frontier.flatMap(match =>
+                    matchItem(this.item, segments, match.end, match.bindings, inventory)
+                        .filter(next => next.end > match.end)));
+            }
+            return uniqueMatches(matches);
+        }
+
+        /**
+         * Return this Repetition in text notation.
+         * 
+         * @returns {string} This Repetition in text notation.
+         */
+        toString() {
+            const digits = (n, chars) => String(n).replace(/\d/g, d => chars[d]);
+            return this.item.toString() +
+                digits(this.min, Repetition.SUBSCRIPTS) +
+                (this.max === Infinity ? "" : digits(this.max, Repetition.SUPERSCRIPTS));
+        }
+
+        /**
+         * Create and return a new DOM element representing this Repetition.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @returns {HTMLElement} DOM element for this Repetition.
+         */
+        createElement(inventory) {
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-rule-repetition");
+            elem.appendChild(this.item.createElement(inventory));
+
+            const scripts = document.createElement("div");
+            scripts.classList.add("phonolo-rule-scripts");
+
+            const sup = document.createElement("sup");
+            sup.innerText = this.max === Infinity ? "" : this.max;
+            scripts.appendChild(sup);
+
+            const sub = document.createElement("sub");
+            sub.innerText = this.min;
+            scripts.appendChild(sub);
+
+            elem.appendChild(scripts);
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A class representing a syllable position in a rule,
+     * which matches without consuming anything if the next segment is
+     * in the onset, nucleus or coda of its syllable,
+     * as found by the inventory's Syllabifier (or the default Syllabifier).
+     * For example, "/ @coda _" restricts a rule to targets in codas.
+     */
+    class SyllablePosition {
+
+        /**
+         * The onset position.
+         * 
+         * @static
+         * @constant
+         * @type {SyllablePosition}
+         */
+        static ONSET = new SyllablePosition("onset");
+
+        /**
+         * The nucleus position.
+         * 
+         * @static
+         * @constant
+         * @type {SyllablePosition}
+         */
+        static NUCLEUS = new SyllablePosition("nucleus");
+
+        /**
+         * The coda position.
+         * 
+         * @static
+         * @constant
+         * @type {SyllablePosition}
+         */
+        static CODA = new SyllablePosition("coda");
+
+        /**
+         * The position: "onset", "nucleus" or "coda".
+         * 
+         * @type {string}
+         */
+        position;
+
+        /**
+         * Create a new SyllablePosition.
+         * 
+         * @param {string} position - The position: "onset", "nucleus" or "coda".
+         */
+        constructor(position) {
+            this.position = position;
+        }
+
+        /**
+         * Match this SyllablePosition against segments at index pos
+         * and return the possible matches, which consume nothing.
+         * 
+         * @param {Array.<(Segment|Suprasegmental|string)>} segments - The segments to match against.
+         * @param {number} pos - The index in segments to match at.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose Syllabifier is used.
+         * @returns {Array.<{end: number, bindings: Object.<string, string>}>} The possible matches.
+         */
+        matchAt(segments, pos, bindings = {}, inventory) {
+            let next = pos;
+            while (segments[next] instanceof Suprasegmental) next++;
+            const syllable = findSyllables(segments, inventory)
+                .find(syllable => syllable.start <= next && next < syllable.end);
+            if (!syllable) return [];
+
+            const nucleus = segments.indexOf(syllable.nucleus[0], syllable.start);
+            const position = next < nucleus ? "onset" : next === nucleus ? "nucleus" : "coda";
+            return position === this.position ? [{ end: pos, bindings }] : [];
+        }
+
+        /**
+         * Return this SyllablePosition in text notation.
+         * 
+         * @returns {string} This SyllablePosition in text notation.
+         */
+        toString() {
+            return `@${this.position}`;
+        }
+
+        /**
+         * Create and return a new DOM element representing this SyllablePosition.
+         * 
+         * @returns {HTMLElement} DOM element for this SyllablePosition.
+         */
+        createElement() {
+            const elem = document.createElement("span");
+            elem.classList.add("phonolo", "phonolo-rule-position");
+            elem.innerText = this.position;
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A parser for rules written in SPE-style text notation.
+     * 
+     * @private
+     */
+    class RuleParser {
+
+        /**
+         * Symbols accepted as the arrow of a rule.
+         * 
+         * @static
+         * @constant
+         * @type {Array.<string>}
+         */
+        static ARROWS = ["→", "->", ">"];
+
+        /**
+         * The special segments that can be written in rules, by symbol.
+         * 
+         * @static
+         * @constant
+         * @type {Object.<string, Segment>}
+         */
+        static SPECIAL = {
+            "∅": Segment.NULL,
+            "#": Segment.WORD_BOUNDARY,
+            "C": Segment.C,
+            "V": Segment.V,
+            ".": Suprasegmental.SYLLABLE_BOUNDARY,
+            "@onset": SyllablePosition.ONSET,
+            "@nucleus": SyllablePosition.NUCLEUS,
+            "@coda": SyllablePosition.CODA
+        };
+
+        /**
+         * The text being parsed.
+         * 
+         * @type {string}
+         */
+        text;
+
+        /**
+         * The index of the next character to parse.
+         * 
+         * @type {number}
+         */
+        pos = 0;
+
+        /**
+         * The Inventory used to look up segments and features.
+         * 
+         * @type {Inventory}
+         */
+        inventory;
+
+        /**
+         * Create a new RuleParser for the given text.
+         * 
+         * @param {string} text - The text to parse.
+         * @param {Inventory} inventory - The Inventory used to look up segments and features.
+         */
+        constructor(text, inventory) {
+            this.text = text.normalize();
+            this.inventory = inventory;
+        }
+
+        /**
+         * Throw an error with the given message that points at a column of the text.
+         * 
+         * @throws Always throws.
+         * @param {string} message - The error message.
+         * @param {number} [pos=this.pos] - The index of the offending character.
+         * @private
+         */
+        error(message, pos = this.pos) {
+            throw new Error(`${message} at column ${pos + 1}\n${this.text}\n${" ".repeat(pos)}^`);
+        }
+
+        /**
+         * Skip whitespace and return true iff the text continues with the given string.
+         * 
+         * @param {string} str - The string to look for.
+         * @returns {boolean} True iff the text continues with str.
+         * @private
+         */
+        peek(str) {
+            while (/\s/u.test(this.text[this.pos] ?? "")) this.pos++;
+            return this.text.startsWith(str, this.pos);
+        }
+
+        /**
+         * Consume the given string if the text continues with it.
+         * 
+         * @param {string} str - The string to consume.
+         * @returns {boolean} True iff str was consumed.
+         * @private
+         */
+        accept(str) {
+            if (!this.peek(str)) return false;
+            this.pos += str.length;
+            return true;
+        }
+
+        /**
+         * Parse the text as a whole rule.
+         * 
+         * @throws Throws an error if the text is not a well-formed rule.
+         * @returns {Rule} The parsed Rule.
+         */
+        parseRule() {
+            const target = this.parseSequence();
+            if (!target.length) this.error("Expected a rule target");
+            if (!RuleParser.ARROWS.some(arrow => this.accept(arrow))) this.error("Expected \"→\"");
+            const result = this.parseSequence();
+            if (!result.length) this.error("Expected a rule result");
+
+            let environmentLeft = [];
+            let environmentRight = [];
+            if (this.accept("/")) {
+                environmentLeft = this.parseSequence();
+                if (!this.accept("_")) this.error("Expected \"_\"");
+                environmentRight = this.parseSequence();
+            }
+            if (this.peek("") && this.pos < this.text.length) this.error("Unexpected character");
+
+            return new Rule(target, result, environmentLeft, environmentRight);
+        }
+
+        /**
+         * Parse the text as a whole sequence of rule items, such as a phonotactic template.
+         * 
+         * @throws Throws an error if the text is not a well-formed sequence.
+         * @returns {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>} The parsed items.
+         */
+        parsePattern() {
+            const items = this.parseSequence();
+            if (this.peek("") && this.pos < this.text.length) this.error("Unexpected character");
+            return items;
+        }
+
+        /**
+         * Parse a sequence of rule items.
+         * 
+         * @returns {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>} The parsed items.
+         * @private
+         */
+        parseSequence() {
+            const items = [];
+            let item;
+            while ((item = this.parseItem())) items.push(this.parseRepetition(item));
+            return items;
+        }
+
+        /**
+         * Parse the subscript and superscript numbers following an item, if there are any,
+         * and return the item wrapped in a Repetition if so.
+         * 
+         * @param {(Segment|FeatureBundle|Optional|Disjunction)} item - The preceding item.
+         * @returns {(Segment|FeatureBundle|Optional|Disjunction|Repetition)} The possibly repeated item.
+         * @private
+         */
+        parseRepetition(item) {
+            const digits = chars => {
+                let number = "";
+                while (this.pos < this.text.length && chars.includes(this.text[this.pos])) {
+                    number += chars.indexOf(this.text[this.pos++]);
+                }
+                return number;
+            };
+            let min = digits(Repetition.SUBSCRIPTS);
+            const max = digits(Repetition.SUPERSCRIPTS);
+            min = min || digits(Repetition.SUBSCRIPTS);
+            if (!min && !max) return item;
+            if (!min) this.error("Expected a subscript minimum");
+            return new Repetition(item, Number(min), max ? Number(max) : Infinity);
+        }
+
+        /**
+         * Parse a single rule item, if there is one.
+         * 
+         * @returns {?(Segment|FeatureBundle|Optional|Disjunction)} The parsed item, or null if there is none.
+         * @private
+         */
+        parseItem() {
+            if (this.peek("[")) return this.parseBundle();
+
+            if (this.peek("(")) {
+                const open = this.pos++;
+                const items = this.parseSequence();
+                if (!this.accept(")")) this.error("Unclosed \"(\"", open);
+                return new Optional(items);
+            }
+
+            if (this.peek("{")) {
+                const open = this.pos++;
+                const options = [];
+                do {
+                    options.push(this.parseSequence());
+                } while (this.accept(","));
+                if (!this.accept("}")) this.error("Unclosed \"{\"", open);
+                return new Disjunction(options);
+            }
+
+            for (const symbol in RuleParser.SPECIAL) {
+                if (this.accept(symbol)) return RuleParser.SPECIAL[symbol];
+            }
+
+            const symbol = Object.keys(this.inventory.segments)
+                .filter(symbol => this.text.startsWith(symbol, this.pos))
+                .reduce((longest, symbol) => symbol.length > longest.length ? symbol : longest, "");
+            if (symbol) {
+                this.pos += symbol.length;
+                return this.inventory.segments[symbol];
+            }
+
+            return null;
+        }
+
+        /**
+         * Parse a bracketed feature bundle such as "[-voice, +nasal]".
+         * 
+         * @returns {FeatureBundle} The parsed FeatureBundle.
+         * @private
+         */
+        parseBundle() {
+            const open = this.pos;
+            this.accept("[");
+            const features = {};
+            if (this.accept("]")) return new FeatureBundle(features);
+
+            do {
+                this.peek("");
+                const start = this.pos;
+                while (this.pos < this.text.length && !",[]".includes(this.text[this.pos])) this.pos++;
+                if (this.pos >= this.text.length || this.text[this.pos] === "[")
+                    this.error("Unclosed \"[\"", open);
+                const [feature, value] = this.parseFeature(this.text.slice(start, this.pos).trim(), start);
+                features[feature] = value;
+            } while (this.accept(","));
+            this.accept("]");
+
+            return new FeatureBundle(features);
+        }
+
+        /**
+         * Parse a feature specification such as "-voice" into a feature and its value.
+         * 
+         * @param {string} entry - The feature specification.
+         * @param {number} start - The index of entry in the text.
+         * @returns {Array.<string>} The feature and its value.
+         * @private
+         */
+        parseFeature(entry, start) {
+            const featureSystem = this.inventory.featureSystem ?? this.inventory;
+            const feature = [...Object.keys(featureSystem.features), ...Object.keys(featureSystem.geometry ?? {})]
+                .sort((a, b) => b.length - a.length)
+                .find(feature => entry.endsWith(feature));
+            if (!feature) this.error(`Unknown feature "${entry}"`, start);
+
+            let value = entry.slice(0, -feature.length).trim();
+            if (parseVariable(value)) return [feature, value.replace("-", "−")];
+            if (!value && featureSystem.getType(feature) === "privative") return [feature, "+"];
+            value = value.replace("−", "-");
+            if (value === "-" && featureSystem.getType(feature) === "privative") return [feature, "-"];
+            // Class nodes that are not features can only be delinked
+            const values = feature in featureSystem.features ? featureSystem.getValues(feature) : ["-"];
+            if (!values.includes(value))
+                this.error(`Invalid value "${value}" for feature "${feature}"`, start);
+            return [feature, value];
+        }
+
+    }
+
+
+    /**
+     * A class representing a linear phonological rule.
+     */
+    class Rule {
+
+        /**
+         * The target of the rule.
+         * 
+         * @type {(Segment|FeatureBundle)}
+         */
+        target;
+
+        /**
+         * The result of the rule.
+         * 
+         * @type {(Segment|FeatureBundle)}
+         */
+        result;
+
+        /**
+         * The left environment of the rule.
+         * 
+         * @type {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>}
+         */
+        environmentLeft;
+
+        /**
+         * The right environment of the rule.
+         * 
+         * @type {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>}
+         */
+        environmentRight;
+
+        /**
+         * Create a new Rule with the given target, result, and optionally environment.
+         * 
+         * @param {(Array.<(Segment|FeatureBundle)>|(Segment|FeatureBundle))} target - 
+         *     The target of the rule.
+         * @param {(Array.<(Segment|FeatureBundle)>|(Segment|FeatureBundle))} result - 
+         *     The result of the rule.
+         * @param {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>} [environmentLeft=[]] - 
+         *     The left environment for the rule.
+         * @param {Array.<(Segment|FeatureBundle|Optional|Disjunction|Repetition)>} [environmentRight=[]] - 
+         *     The right environment for the rule.
+         */
+        constructor(target, result, environmentLeft = [], environmentRight = []) {
+            this.target = Array.isArray(target) ? target : [target];
+            this.result = Array.isArray(result) ? result : [result];
+            this.environmentLeft = environmentLeft;
+            this.environmentRight = environmentRight;
+        }
+
+        /**
+         * Return a Rule parsed from SPE-style text notation,
+         * e.g. "[-syllabic, -continuant, +voice] → [-voice] / _ #".
+         * 
+         * Feature bundles are written in square brackets with comma-separated features,
+         * whose values may be variables such as "α" and "−α".
+         * Privative features may be written without a value, or with "-" to require their absence.
+         * Segments are written with their symbols in inventory,
+         * and "∅", "#", "C", and "V" stand for the corresponding special Segments.
+         * "." matches a syllable boundary, and "@onset", "@nucleus" and "@coda"
+         * match if the next segment is in that position of its syllable.
+         * Optional items are written in parentheses, e.g. "(C)",
+         * alternatives in braces separated by commas, e.g. "{#, C}",
+         * and repetition with a subscript minimum and superscript maximum, e.g. "C₀" or "C₁²".
+         * The arrow may be written as "→", "->", or ">",
+         * and the environment follows "/" with "_" marking the position of the target.
+         * 
+         * @throws Throws an error pointing at the offending column if the text cannot be parsed.
+         * @param {string} text - The rule in text notation.
+         * @param {Inventory} inventory - Inventory used to look up segments and features.
+         * @returns {Rule} The parsed Rule.
+         */
+        static parse(text, inventory) {
+            return new RuleParser(text, inventory).parseRule();
+        }
+
+        /**
+         * Return this Rule in SPE-style text notation.
+         * The returned string can be parsed back into an equivalent Rule with Rule.parse.
+         * 
+         * @returns {string} This Rule in text notation.
+         */
+        toString() {
+            const join = items => items.map(item => item.toString()).join(" ");
+            let text = `${join(this.target)} → ${join(this.result)}`;
+            if (this.environmentLeft?.length || this.environmentRight?.length) {
+                text += " / " + [join(this.environmentLeft ?? []), "_", join(this.environmentRight ?? [])]
+                    .filter(x => x)
+                    .join(" ");
+            }
+            return text;
+        }
+
+        /**
+         * Apply this Rule to the given segments and return the resulting segments.
+         * Every site matching the target and environment is found in the input
+         * and all of them are rewritten simultaneously.
+         * 
+         * A Segment in the result replaces the matched segment outright,
+         * whereas a FeatureBundle in the result changes the features of the matched segment,
+         * which is then looked up in the feature system of inventory.
+         * A target of Segment.NULL inserts the result (epenthesis)
+         * and a result of Segment.NULL removes the target (deletion).
+         * Suprasegmental tokens are kept, except that marks of the preceding segment's features
+         * (such as length) are removed or added when a FeatureBundle makes the segment lose or gain them.
+         * 
+         * If no segment in the feature system has the changed features,
+         * one is composed from a base segment and diacritics if possible;
+         * otherwise the segment keeps its symbol with the changed features.
+         * 
+         * @throws Throws an error if the target and result have different lengths.
+         * @param {Array.<(Segment|string)>} segments - The segments to apply this Rule to.
+         * @param {Inventory} [inventory] - Inventory used to resolve FeatureBundles in the result.
+         * @returns {Array.<(Segment|string)>} The segments after applying this Rule.
+         */
+        apply(segments, inventory) {
+            const epenthesis = this.target.length === 1 && this.target[0] === Segment.NULL;
+            const deletion = this.result.length === 1 && this.result[0] === Segment.NULL;
+            if (!epenthesis && !deletion && this.target.length !== this.result.length)
+                throw new Error("Target and result of rule have different lengths");
+
+            const padded = [Segment.WORD_BOUNDARY, ...segments, Segment.WORD_BOUNDARY];
+            const output = [];
+            const rewritten = new Set();
+            const marks = Object.entries(Suprasegmental.SYMBOLS)
+                .filter(([, { features, target }]) => target === "previous" && Object.keys(features).length);
+            const has = (segment, features) => Object.entries(features)
+                .every(([feat, val]) => segment?.features?.[feat] === val);
+            const pushToken = token => {
+                const previous = output.length - 1;
+                if (token.target === "previous" && rewritten.has(previous) && !has(output[previous], token.features)) return;
+                output.push(token);
+            };
+            const pushSegment = (segment, item, bindings) => {
+                const result = this.rewrite(segment, item, inventory, bindings);
+                // Segments in the result replace segments outright, leaving their marks as they are
+                if (item instanceof Segment) {
+                    output.push(result);
+                    return;
+                }
+                rewritten.add(output.length);
+                output.push(result);
+                for (const [symbol, { features }] of marks) {
+                    if (has(result, features) && !has(segment, features)) output.push(new Suprasegmental(symbol));
+                }
+            };
+
+            let pos = 1;
+            while (pos < padded.length) {
+                // Suprasegmental tokens are kept unless they mark features the rule removed
+                if (padded[pos] instanceof Suprasegmental) {
+                    pushToken(padded[pos++]);
+                    continue;
+                }
+
+                if (epenthesis) {
+                    const bindings = this.matchEnvironment(padded, pos, pos, {}, inventory);
+                    if (bindings) {
+                        for (const item of this.result) pushSegment(null, item, bindings);
+                    }
+                } else {
+                    const match = this.matchTarget(padded, pos, inventory);
+                    if (match) {
+                        // Rewrite the segments of the target, keeping the tokens between them
+                        let i = 0;
+                        for (const segment of padded.slice(pos, match.end)) {
+                            if (segment instanceof Suprasegmental) {
+                                pushToken(segment);
+                            } else if (!deletion) {
+                                pushSegment(segment, this.result[i++], match.bindings);
+                            }
+                        }
+                        pos = match.end;
+                        continue;
+                    }
+                }
+                if (pos < padded.length - 1) output.push(padded[pos]);
+                pos++;
+            }
+            return output;
+        }
+
+        /**
+         * Match the target and environment of this Rule at the given index of segments.
+         * 
+         * @param {Array.<(Segment|string)>} segments - The segments, padded with word boundaries.
+         * @param {number} pos - The index to match the target at.
+         * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+         * @returns {?{end: number, bindings: Object.<string, string>}}
+         *     The end of the matched target and the variable bindings, or null if there is no match.
+         * @private
+         */
+        matchTarget(segments, pos, inventory) {
+            for (const { end, bindings } of matchSequence(this.target, segments, pos, {}, inventory)) {
+                if (end >= segments.length) continue;
+                const bound = this.matchEnvironment(segments, pos, end, bindings, inventory);
+                if (bound) return { end, bindings: bound };
+            }
+            return null;
+        }
+
+        /**
+         * Match the environment of this Rule around the span of segments from start to end
+         * and return the resulting variable bindings.
+         * 
+         * @param {Array.<(Segment|string)>} segments - The segments, padded with word boundaries.
+         * @param {number} start - Index of the first segment in the span.
+         * @param {number} end - Index after the last segment in the span.
+         * @param {Object.<string, string>} [bindings={}] - Values already bound to variables.
+         * @param {Inventory} [inventory] - Inventory whose feature system is used for matching.
+         * @returns {?Object.<string, string>} The variable bindings, or null if the environment is not satisfied.
+         * @private
+         */
+        matchEnvironment(segments, start, end, bindings = {}, inventory) {
+            for (const right of matchSequence(this.environmentRight ?? [], segments, end, bindings, inventory)) {
+                for (let i = start; i >= 0; i--) {
+                    // Only Suprasegmental tokens can come between the left environment and the span
+                    const left = matchSequence(this.environmentLeft ?? [], segments, i, right.bindings, inventory)
+                        .find(match => match.end <= start &&
+                            segments.slice(match.end, start).every(x => x instanceof Suprasegmental));
+                    if (left) return left.bindings;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Return the segment that results from rewriting segment as the given result item.
+         * 
+         * @throws Throws an error if the result uses an unbound variable.
+         * @param {?Segment} segment - The segment being rewritten, or null if inserting.
+         * @param {(Segment|FeatureBundle)} item - An item of the result of this Rule.
+         * @param {Inventory} [inventory] - Inventory used to resolve FeatureBundles.
+         * @param {Object.<string, string>} [bindings={}] - Values bound to variables by the match.
+         * @returns {Segment} The rewritten segment.
+         * @private
+         */
+        rewrite(segment, item, inventory, bindings = {}) {
+            if (item instanceof Segment) return item;
+            if (!inventory) throw new Error("An inventory is required to apply feature changes");
+
+            const featureSystem = inventory.featureSystem ?? inventory;
+            const spec = segment && featureSystem.segments[segment.symbol]?.features;
+            const changes = item.instantiate(bindings, featureSystem);
+            const features = { ...(spec ?? segment?.features), ...changes };
+
+            // Features the segment was given on top of its specification (e.g. by a stress mark)
+            // are kept unless the rule changes them, and changes to the features of
+            // Suprasegmental tokens are applied on top of the segment found
+            const overrides = spec ? Object.fromEntries(Object.entries(segment.features)
+                .filter(([feat, val]) => spec[feat] !== undefined && spec[feat] !== val && !(feat in changes))) : {};
+            for (const { features: prosodic } of Object.values(Suprasegmental.SYMBOLS)) {
+                for (const feat in prosodic) {
+                    if (!(feat in changes)) continue;
+                    overrides[feat] = changes[feat];
+                    // Inserted segments are looked up with the most common value of the feature
+                    const [common] = Object.entries(featureSystem.features[feat] ?? {})
+                        .reduce((a, b) => b[1].length > a[1].length ? b : a, [undefined, []]);
+                    features[feat] = segment ? spec?.[feat] ?? segment.features[feat] : common;
+                    if (features[feat] === undefined) delete features[feat];
+                }
+            }
+
+            // Prefer inserting a segment of the inventory
+            const member = !segment && inventory.getSegments(features)[0];
+            const { segment: closest, distance } = member ?
+                { segment: member, distance: 0 } :
+                featureSystem.findSegment(features, inventory);
+            if (!closest) throw new Error("The feature system has no segments");
+            // Without an exact match, compose the segment from a base and diacritics,
+            // or failing that, keep the segment with the changed features
+            const found = !distance ? closest : featureSystem.composeSegment(features, inventory) ??
+                new Segment((segment ?? closest).symbol, features);
+            const result = !distance && inventory.segments[found.symbol] || found;
+            const changed = Object.entries(overrides).filter(([feat, val]) => found.features[feat] !== val);
+            return changed.length ?
+                new Segment(result.symbol, { ...result.features, ...Object.fromEntries(changed) }, result.name) :
+                result;
+        }
+
+        /**
+         * Create and return a new DOM element representing this Rule.
+         * If inventory is given, the created element will interactively display
+         * information from the given inventory.
+         * 
+         * @param {Inventory} [inventory]
+         * @returns {HTMLElement} DOM element for this Rule.
+         */
+        createElement(inventory) {
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-rule");
+            
+            this.target.forEach(item => {
+                elem.appendChild(item.createElement(inventory));
+            });
+
+            const arrow = document.createElement("div");
+            arrow.classList.add("phonolo-rule-arrow");
+            arrow.innerText = "→";
+            elem.appendChild(arrow);
+
+            this.result.forEach(item => {
+                elem.appendChild(item.createElement(inventory));
+            });
+
+            if (this.environmentLeft?.length || this.environmentRight?.length) {
+                const slash = document.createElement("div");
+                slash.classList.add("phonolo-rule-slash");
+                slash.innerText = "/";
+                elem.appendChild(slash);
+
+                this.environmentLeft?.forEach(item => {
+                    elem.appendChild(item.createElement(inventory));
+                });
+
+                const underscore = document.createElement("div");
+                underscore.classList.add("phonolo-rule-underscore");
+                elem.appendChild(underscore);
+
+                this.environmentRight?.forEach(item => {
+                    elem.appendChild(item.createElement(inventory));
+                });
+            }
+            
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A class representing the derivation of a surface form
+     * from an underlying form by an ordered list of rules.
+     */
+    class Derivation {
+
+        /**
+         * The rules in the derivation, in order of application.
+         * 
+         * @type {Array.<Rule>}
+         */
+        rules;
+
+        /**
+         * The forms in the derivation.
+         * The first form is the underlying form
+         * and each subsequent form is the output of the corresponding rule,
+         * so the last form is the surface form.
+         * 
+         * @type {Array.<Array.<(Segment|string)>>}
+         */
+        forms;
+
+        /**
+         * The Inventory that the segments in the derivation belong to.
+         * Optional.
+         * 
+         * @type {?Inventory}
+         */
+        inventory;
+
+        /**
+         * Create a new Derivation by applying the given rules in order to an underlying form.
+         * The underlying form can be a Word or an array of segments (e.g. from Inventory.parse).
+         * 
+         * @param {Array.<Rule>} rules - The rules to apply, in order.
+         * @param {(Word|Array.<(Segment|string)>)} underlying - The underlying form.
+         * @param {Inventory} [inventory] - Inventory used to apply the rules.
+         *     Defaults to the inventory of underlying if it is a Word.
+         */
+        constructor(rules, underlying, inventory) {
+            if (underlying instanceof Word) {
+                inventory = inventory ?? underlying.inventory;
+                underlying = underlying.transcription;
+            }
+            this.rules = rules;
+            if (inventory) this.inventory = inventory;
+
+            this.forms = [underlying];
+            for (const rule of rules) {
+                this.forms.push(rule.apply(this.forms[this.forms.length - 1], inventory));
+            }
+        }
+
+        /**
+         * Return the underlying form of this Derivation.
+         * 
+         * @returns {Array.<(Segment|string)>} The underlying form.
+         */
+        getUnderlyingForm() {
+            return this.forms[0];
+        }
+
+        /**
+         * Return the surface form of this Derivation.
+         * 
+         * @returns {Array.<(Segment|string)>} The surface form.
+         */
+        getSurfaceForm() {
+            return this.forms[this.forms.length - 1];
+        }
+
+        /**
+         * Return true iff the rule at the given index changed the form it applied to.
+         * 
+         * @param {number} index - The index of the rule in this Derivation.
+         * @returns {boolean} True iff the rule applied.
+         */
+        applied(index) {
+            return !sameForm(this.forms[index], this.forms[index + 1]);
+        }
+
+        /**
+         * Create and return a new DOM element for this Derivation as a derivation table.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @returns {HTMLElement} A DOM element for this Derivation.
+         */
+        createElement(inventory) {
+            return Derivation.createTable([this], inventory);
+        }
+
+        /**
+         * Create and return a derivation table with a row for each of the given Derivations.
+         * The columns are the underlying form, each rule, and the surface form;
+         * a rule that does not apply is shown as "—".
+         * All the Derivations should use the same rules.
+         * 
+         * @param {Array.<Derivation>} derivations - The Derivations in the table.
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @returns {HTMLElement} A DOM element for the derivation table.
+         */
+        static createTable(derivations, inventory) {
+            const table = document.createElement("table");
+            table.classList.add("phonolo", "phonolo-derivation");
+
+            const rules = derivations[0]?.rules ?? [];
+            const header = document.createElement("tr");
+            const headings = ["UR", ...rules, "SR"];
+            headings.forEach(heading => {
+                const th = document.createElement("th");
+                th.scope = "col";
+                if (heading instanceof Rule) {
+                    th.appendChild(heading.createElement(inventory ?? derivations[0].inventory));
+                } else {
+                    th.innerText = heading;
                 }
+                header.appendChild(th);
+            });
+            table.appendChild(header);
 
-                // Drag and drop features
-                tr.addEventListener("mousedown", e => {
-                    // Check if left mouse button
-                    if (e.button !== 0) return;
+            for (const derivation of derivations) {
+                const inv = inventory ?? derivation.inventory;
+                const row = document.createElement("tr");
 
-                    const shiftX = e.clientX - tr.getBoundingClientRect().left;
-                    const shiftY = e.clientY - tr.getBoundingClientRect().top;
+                const underlying = document.createElement("td");
+                underlying.append("/", ...createTranscription(derivation.getUnderlyingForm(), inv), "/");
+                row.appendChild(underlying);
 
-                    const dragging = this.editable ? tr : tr.cloneNode(true);
+                derivation.rules.forEach((rule, i) => {
+                    const td = document.createElement("td");
+                    if (derivation.applied(i)) {
+                        td.append(...createTranscription(derivation.forms[i + 1], inv));
+                    } else {
+                        td.classList.add("phonolo-derivation-inapplicable");
+                        td.innerText = "—";
+                    }
+                    row.appendChild(td);
+                });
 
-                    let currTarget = null;                    
-                    const onmousemove = e => {
-                        e.preventDefault();
+                const surface = document.createElement("td");
+                surface.append("[", ...createTranscription(derivation.getSurfaceForm(), inv), "]");
+                row.appendChild(surface);
 
-                        if (!dragging.classList.contains("phonolo-drag")) {
-                            dragging.classList.add("phonolo-drag");
-                            if (!this.editable) tr.after(dragging);
-                        }
+                table.appendChild(row);
+            }
 
-                        dragging.style.left = `${e.clientX - shiftX}px`;
-                        dragging.style.top = `${e.clientY - shiftY}px`;
+            return table;
+        }
 
-                        const below = document.elementsFromPoint(e.clientX, e.clientY);
-                        if (!below.length) return;
-                        
-                        const newTarget = below.find(el => el.matches(".phonolo-featurebundle.phonolo-droppable"));
-                        if (currTarget !== newTarget) {
-                            currTarget?.classList.remove("phonolo-hovering");
-                            currTarget = newTarget;
-                            currTarget?.classList.add("phonolo-hovering");
-                        }
-                    };
-                    document.addEventListener("mousemove", onmousemove);
+    }
 
-                    document.addEventListener("mouseup", e => {
-                        document.removeEventListener("mousemove", onmousemove);
-                        if (dragging.classList.contains("phonolo-drag")) {
-                            dragging.classList.remove("phonolo-drag");
-                            currTarget?.classList.remove("phonolo-hovering");
-                            if (currTarget === elem) return;
-                            if (currTarget) {
-                                const event = new CustomEvent("phonolo-featuredrop", { detail: {
-                                    feature: feature,
-                                    value: this.features[feature]
-                                } });
-                                currTarget.dispatchEvent(event);
-                            }
-                            dragging.remove();
-                            if (this.editable) {
-                                delete this.features[feature];
-                            }
-                        }
-                    }, { once: true });
-                });
 
-                return tr;
-            };
+    /**
+     * A class representing the ordering relationship between two rules,
+     * determined by applying them in both orders to a set of words.
+     */
+    class RuleInteraction {
 
-            const list = document.createElement("table");
-            list.classList.add("phonolo-features");
-            for (const feature in this.features) {
-                list.appendChild(createFeature(feature));
-            }
-            elem.appendChild(list);
+        /**
+         * The possible ordering relationships, in order of precedence.
+         * 
+         * @static
+         * @constant
+         * @type {Array.<string>}
+         */
+        static RELATIONSHIPS = ["feeding", "bleeding", "counterfeeding", "counterbleeding"];
 
-            if (brackets) {
-                const left = document.createElement("div");
-                left.classList.add("phonolo-bracket-left");
-                
-                const right = document.createElement("div");
-                right.classList.add("phonolo-bracket-right");
+        /**
+         * The rule ordered first.
+         * 
+         * @type {Rule}
+         */
+        first;
 
-                list.before(left);
-                list.after(right);
+        /**
+         * The rule ordered second.
+         * 
+         * @type {Rule}
+         */
+        second;
 
-                if (inventory) {
-                    for (const bracket of [left, right]) {
-                        bracket.classList.add("phonolo-interact");
-                        addPopup(bracket, "click", () => this.createPopup(this.features, inventory));
-                        bracket.addEventListener("mouseenter", e => {
-                            left.classList.add("phonolo-active");
-                            right.classList.add("phonolo-active");
-                        });
-                        bracket.addEventListener("mouseleave", e => {
-                            left.classList.remove("phonolo-active");
-                            right.classList.remove("phonolo-active");
-                        });
-                    }
-                }
+        /**
+         * The ordering relationship of first before second:
+         * "feeding", "bleeding", "counterfeeding", "counterbleeding", or "none".
+         * If several relationships hold for different words,
+         * the first in RuleInteraction.RELATIONSHIPS is used.
+         * 
+         * @type {string}
+         */
+        relationship;
+
+        /**
+         * The words demonstrating each relationship.
+         * Keys are relationships and values are arrays of the input words
+         * for which the relationship holds.
+         * 
+         * @type {Object.<string, Array.<(Word|Array.<(Segment|string)>)>>}
+         */
+        witnesses = {};
+
+        /**
+         * The Inventory used to apply the rules.
+         * Optional.
+         * 
+         * @type {?Inventory}
+         */
+        inventory;
+
+        /**
+         * The Derivations of each witness word in both orders.
+         * Maps words to an array containing the Derivation with first before second
+         * and the Derivation with second before first.
+         * 
+         * @type {Map.<(Word|Array.<(Segment|string)>), Array.<Derivation>>}
+         * @private
+         */
+        derivations = new Map();
+
+        /**
+         * Determine the ordering relationship of first before second
+         * by deriving each of the given words in both orders.
+         * Only words whose surface forms differ between the two orders are witnesses.
+         * 
+         * With first before second, the relationship is:
+         * feeding if first creates an input for second,
+         * bleeding if first destroys an input for second,
+         * counterfeeding if second creates an input for first, and
+         * counterbleeding if second destroys an input for first.
+         * 
+         * @param {Rule} first - The rule ordered first.
+         * @param {Rule} second - The rule ordered second.
+         * @param {Array.<(Word|Array.<(Segment|string)>)>} words - The words to derive.
+         * @param {Inventory} [inventory] - Inventory used to apply the rules.
+         */
+        constructor(first, second, words, inventory) {
+            this.first = first;
+            this.second = second;
+            if (inventory) this.inventory = inventory;
+            for (const relationship of RuleInteraction.RELATIONSHIPS) {
+                this.witnesses[relationship] = [];
             }
 
-            // Handle feature dropping
-            if (this.editable) {
-                elem.addEventListener("phonolo-featuredrop", ({ detail : { feature, value } }) => {
-                    this.features[feature] = value;
-                    for (const tr of list.children) {
-                        if (tr.lastElementChild.innerText === feature) {
-                            tr.firstElementChild.innerText = value;
-                            return;
-                        }
-                    }
-                    list.appendChild(createFeature(feature));
-                });
+            for (const word of words) {
+                const ordered = new Derivation([first, second], word, inventory);
+                const reversed = new Derivation([second, first], word, inventory);
+                if (sameForm(ordered.getSurfaceForm(), reversed.getSurfaceForm())) continue;
+
+                const holds = {
+                    feeding: ordered.applied(1) && !reversed.applied(0),
+                    bleeding: !ordered.applied(1) && reversed.applied(0),
+                    counterfeeding: reversed.applied(1) && !ordered.applied(0),
+                    counterbleeding: !reversed.applied(1) && ordered.applied(0)
+                };
+                for (const relationship in holds) {
+                    if (holds[relationship]) this.witnesses[relationship].push(word);
+                }
+                this.derivations.set(word, [ordered, reversed]);
             }
 
-            return elem;
+            this.relationship = RuleInteraction.RELATIONSHIPS
+                .find(relationship => this.witnesses[relationship].length) ?? "none";
         }
 
         /**
-         * Create and return a popup element for this FeatureBundle.
+         * Create and return a new DOM element for this RuleInteraction.
+         * For each relationship that holds, the derivations of its witnesses
+         * in both orders are shown side by side.
          * 
-         * @param {Object.<string, string>} features - Feature specification for the popup.
-         * @param {Inventory} inventory - Inventory to use for the popup info.
-         * @returns {HTMLElement} - A popup element.
-         * @private
+         * @param {Inventory} [inventory] - Inventory to use for interactive info.
+         * @returns {HTMLElement} A DOM element for this RuleInteraction.
          */
-        createPopup(features, inventory) {
-            const popup = document.createElement("div");
-            popup.classList.add("phonolo", "phonolo-naturalclass");
+        createElement(inventory) {
+            inventory = inventory ?? this.inventory;
 
-            const entries = Object.entries(features);
-            let innerText;
-            if (entries.length === 1) {
-                innerText = `${entries[0][1]}${entries[0][0]}`;
-            } else {
-                innerText = "these features";
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-interaction");
+
+            if (this.relationship === "none") {
+                const header = document.createElement("div");
+                header.classList.add("phonolo-interaction-header");
+                header.innerText = "No interaction";
+                elem.appendChild(header);
+                return elem;
             }
 
-            const segments = inventory.getSegments(features);
+            for (const relationship of RuleInteraction.RELATIONSHIPS) {
+                const words = this.witnesses[relationship];
+                if (!words.length) continue;
 
-            if (segments.length) {
-                popup.innerHTML =
-                    `<div class="phonolo-naturalclass-header">
-                        Segments with ${innerText}:
-                    </div>`;
+                const header = document.createElement("div");
+                header.classList.add("phonolo-interaction-header");
+                header.innerText = relationship[0].toUpperCase() + relationship.slice(1);
+                elem.appendChild(header);
 
-                const list = document.createElement("div");
-                list.classList.add("phonolo-naturalclass-segments");
-                for (const segment of segments) {
-                    list.appendChild(segment.createElement(inventory));
-                    list.append(", ");
-                }
-                list.lastChild.remove();
-                popup.appendChild(list);
-            } else {
-                popup.innerHTML = 
-                    `<div class="phonolo-naturalclass-header">
-                        No segments with ${innerText}.
-                    </div>`;
+                const comparison = document.createElement("div");
+                comparison.classList.add("phonolo-interaction-comparison");
+                [0, 1].forEach(i => {
+                    const derivations = words.map(word => this.derivations.get(word)[i]);
+                    comparison.appendChild(Derivation.createTable(derivations, inventory));
+                });
+                elem.appendChild(comparison);
             }
 
-            return popup;
+            return elem;
         }
 
     }
 
 
     /**
-     * A class representing a linear phonological rule.
+     * A class representing the feature geometry tree of a segment.
      */
-    class Rule {
+    class FeatureTree {
 
         /**
-         * The target of the rule.
+         * The Segment whose features are shown.
          * 
-         * @type {(Segment|FeatureBundle)}
+         * @type {Segment}
          */
-        target;
+        segment;
 
         /**
-         * The result of the rule.
+         * The Inventory whose feature system defines the feature geometry.
+         * Optional.
          * 
-         * @type {(Segment|FeatureBundle)}
+         * @type {?Inventory}
          */
-        result;
+        inventory;
 
         /**
-         * The left environment of the rule.
+         * Create a new feature tree for the given segment.
          * 
-         * @type {Array.<(Segment|FeatureBundle)>}
+         * @param {Segment} segment - The Segment whose features are shown.
+         * @param {Inventory} [inventory] - Inventory whose feature system defines the feature geometry.
          */
-        environmentLeft;
+        constructor(segment, inventory) {
+            this.segment = segment;
+            if (inventory) this.inventory = inventory;
+        }
 
         /**
-         * The right environment of the rule.
+         * Create and return a new DOM element for this FeatureTree.
+         * Features not dominated by any class node hang from the root,
+         * class nodes with a "-" value are shown as absent without their dependents,
+         * and features with a "0" value are omitted.
+         * If no inventory was provided for this FeatureTree, an inventory must be provided here.
          * 
-         * @type {Array.<(Segment|FeatureBundle)>}
+         * @param {Inventory} [inventory] - Inventory whose feature system defines the feature geometry.
+         * @returns {HTMLElement} A DOM element for this FeatureTree.
          */
-        environmentRight;
+        createElement(inventory) {
+            inventory = inventory ?? this.inventory;
+            const featureSystem = inventory.featureSystem ?? inventory;
+            const geometry = featureSystem.geometry ?? {};
+            const { features } = this.segment;
+
+            const parents = {};
+            for (const node in geometry) {
+                for (const child of geometry[node]) parents[child] = node;
+            }
+
+            const createNode = name => {
+                const li = document.createElement("li");
+                const label = document.createElement("span");
+                label.classList.add("phonolo-tree-node");
+                li.appendChild(label);
+
+                const value = features[name];
+                const isFeature = name in features;
+                label.innerText = isFeature ? `${value}${name}` : name;
+                if (value === "0") return null;
+                if (isFeature && name in geometry) label.classList.add("phonolo-tree-classnode");
+                if (isFeature && name in geometry && value === "-") {
+                    li.classList.add("phonolo-tree-absent");
+                    return li;
+                }
+
+                const children = (geometry[name] ?? []).map(createNode).filter(x => x);
+                if (!isFeature && !children.length) return null;
+                if (children.length) {
+                    const ul = document.createElement("ul");
+                    ul.append(...children);
+                    li.appendChild(ul);
+                }
+                return li;
+            };
+
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-tree");
+
+            const root = document.createElement("ul");
+            const rootItem = document.createElement("li");
+            const rootLabel = document.createElement("span");
+            rootLabel.classList.add("phonolo-tree-node", "phonolo-tree-root");
+            rootLabel.appendChild(this.segment.createElement(inventory));
+            rootItem.appendChild(rootLabel);
+
+            const ul = document.createElement("ul");
+            const seen = new Set();
+            for (const feature in features) {
+                let top = feature;
+                while (top in parents) top = parents[top];
+                if (seen.has(top)) continue;
+                seen.add(top);
+                const node = createNode(top);
+                if (node) ul.appendChild(node);
+            }
+            rootItem.appendChild(ul);
+            root.appendChild(rootItem);
+            elem.appendChild(root);
+
+            return elem;
+        }
+
+    }
+
+
+    /**
+     * A class representing a contrastive hierarchy of an inventory,
+     * built by the Successive Division Algorithm:
+     * starting from the whole inventory, each feature in order divides every set
+     * that still contains more than one segment and whose members differ in that feature,
+     * and segments are specified only for the features that divided them.
+     */
+    class ContrastiveHierarchy {
 
         /**
-         * Create a new Rule with the given target, result, and optionally environment.
+         * The features in order of contrastive priority.
          * 
-         * @param {(Array.<(Segment|FeatureBundle)>|(Segment|FeatureBundle))} target - 
-         *     The target of the rule.
-         * @param {(Array.<(Segment|FeatureBundle)>|(Segment|FeatureBundle))} result - 
-         *     The result of the rule.
-         * @param {Array.<(Segment|FeatureBundle)>} [environmentLeft=[]] - 
-         *     The left environment for the rule.
-         * @param {Array.<(Segment|FeatureBundle)>} [environmentRight=[]] - 
-         *     The right environment for the rule.
+         * @type {Array.<string>}
          */
-        constructor(target, result, environmentLeft = [], environmentRight = []) {
-            this.target = Array.isArray(target) ? target : [target];
-            this.result = Array.isArray(result) ? result : [result];
-            this.environmentLeft = environmentLeft;
-            this.environmentRight = environmentRight;
-        }
+        ordering;
 
         /**
-         * Create and return a new DOM element representing this Rule.
-         * If inventory is given, the created element will interactively display
-         * information from the given inventory.
+         * The root of the contrastive tree.
+         * Each node has the segments in its set,
+         * the feature dividing the set (or null if it is not divided),
+         * and its children with the value of the feature for each.
          * 
-         * @param {Inventory} [inventory]
-         * @returns {HTMLElement} DOM element for this Rule.
+         * @type {{segments: Array.<Segment>, feature: ?string, children: Array.<{value: string, node: Object}>}}
+         */
+        root;
+
+        /**
+         * The Inventory of contrastively specified Segments.
+         * 
+         * @type {Inventory}
+         */
+        inventory;
+
+        /**
+         * Sets of segments that the ordering does not distinguish, as arrays of symbols.
+         * 
+         * @type {Array.<Array.<string>>}
          */
-        createElement(inventory) {
-            const elem = document.createElement("div");
-            elem.classList.add("phonolo", "phonolo-rule");
-            
-            this.target.forEach(item => {
-                elem.appendChild(item.createElement(inventory));
-            });
+        undistinguished = [];
 
-            const arrow = document.createElement("div");
-            arrow.classList.add("phonolo-rule-arrow");
-            arrow.innerText = "→";
-            elem.appendChild(arrow);
+        /**
+         * Build the contrastive hierarchy of the given segments with the given feature ordering.
+         * Segments with the value "0" (unspecified) for a dividing feature
+         * form their own set but are not specified for the feature.
+         * 
+         * @param {Inventory} featureSystem - The feature system used as a base.
+         * @param {Array.<string>} segments - The symbols of the Segments in featureSystem to use.
+         * @param {Array.<string>} ordering - The features in order of contrastive priority.
+         */
+        constructor(featureSystem, segments, ordering) {
+            this.ordering = ordering;
+            const specs = new Map();
+
+            const divide = (members, features, spec) => {
+                const node = { segments: members, feature: null, children: [] };
+                for (let i = 0; i < features.length && members.length > 1; i++) {
+                    const feat = features[i];
+                    const groups = new Map();
+                    for (const segment of members) {
+                        const value = segment.features[feat] ?? "0";
+                        if (!groups.has(value)) groups.set(value, []);
+                        groups.get(value).push(segment);
+                    }
+                    if (groups.size < 2) continue;
 
-            this.result.forEach(item => {
-                elem.appendChild(item.createElement(inventory));
-            });
+                    node.feature = feat;
+                    for (const [value, group] of groups) {
+                        const childSpec = value === "0" ? spec : { ...spec, [feat]: value };
+                        node.children.push({ value, node: divide(group, features.slice(i + 1), childSpec) });
+                    }
+                    return node;
+                }
 
-            if (this.environmentLeft?.length || this.environmentRight?.length) {
-                const slash = document.createElement("div");
-                slash.classList.add("phonolo-rule-slash");
-                slash.innerText = "/";
-                elem.appendChild(slash);
+                if (members.length > 1) this.undistinguished.push(members.map(segment => segment.symbol));
+                for (const segment of members) specs.set(segment, spec);
+                return node;
+            };
 
-                this.environmentLeft?.forEach(item => {
-                    elem.appendChild(item.createElement(inventory));
-                });
+            const members = segments.map(symbol => featureSystem.segments[symbol.normalize()]);
+            this.root = divide(members, ordering, {});
+            this.inventory = new Inventory(
+                members.map(segment => new Segment(segment.symbol, specs.get(segment), segment.name)),
+                featureSystem
+            );
+        }
 
-                const underscore = document.createElement("div");
-                underscore.classList.add("phonolo-rule-underscore");
-                elem.appendChild(underscore);
+        /**
+         * Create and return a new DOM element for this ContrastiveHierarchy as a tree diagram.
+         * Each node shows its set of segments, labelled with the feature value that produced it.
+         * 
+         * @returns {HTMLElement} A DOM element for this ContrastiveHierarchy.
+         */
+        createElement() {
+            const createNode = (node, value, feature) => {
+                const li = document.createElement("li");
+                const label = document.createElement("span");
+                label.classList.add("phonolo-tree-node");
+
+                if (value !== undefined) {
+                    const split = document.createElement("span");
+                    split.classList.add("phonolo-contrast-value");
+                    split.innerText = value === "0" ? `(no ${feature})` : `${value}${feature}`;
+                    label.append(split, " ");
+                }
 
-                this.environmentRight?.forEach(item => {
-                    elem.appendChild(item.createElement(inventory));
+                const set = document.createElement("span");
+                set.classList.add("phonolo-contrast-set");
+                set.append("{");
+                node.segments.forEach((segment, i) => {
+                    if (i) set.append(", ");
+                    set.appendChild(this.inventory.segments[segment.symbol].createElement(this.inventory));
                 });
-            }
-            
+                set.append("}");
+                label.appendChild(set);
+                li.appendChild(label);
+
+                if (node.children.length) {
+                    const ul = document.createElement("ul");
+                    for (const child of node.children) {
+                        ul.appendChild(createNode(child.node, child.value, node.feature));
+                    }
+                    li.appendChild(ul);
+                }
+                return li;
+            };
+
+            const elem = document.createElement("div");
+            elem.classList.add("phonolo", "phonolo-tree", "phonolo-contrastive");
+            const root = document.createElement("ul");
+            root.appendChild(createNode(this.root));
+            elem.appendChild(root);
             return elem;
         }
 
@@ -886,15 +4416,32 @@
          */
         inventory;
 
+        /**
+         * Whether segments in this table can be selected.
+         * 
+         * @type {boolean}
+         */
+        selectable;
+
+        /**
+         * The currently selected Segments, if selectable.
+         * 
+         * @type {Array.<Segment>}
+         */
+        selection = [];
+
         /**
          * Create a new consonant table from the given segments.
+         * If selectable is true then segments can be selected in the table element.
          * 
          * @param {Array.<Segment>} segments - The Segments in the table.
          * @param {Inventory} [inventory] - Inventory that the Segments come from.
+         * @param {boolean} [selectable=false] - True iff the segments are to be user-selectable.
          */
-        constructor(segments, inventory) {
+        constructor(segments, inventory, selectable = false) {
             this.segments = segments;
             if (inventory) this.inventory = inventory;
+            this.selectable = selectable;
         }
 
         /**
@@ -903,11 +4450,17 @@
          * If no inventory was provided for this ConsonantTable,
          * an inventory must be provided here.
          * 
+         * If this ConsonantTable is selectable, clicking segments selects them instead of
+         * showing their info, and the table is returned in a container that also shows
+         * the features shared by the selection.
+         * The container receives a "phonolo-selectionchange" event whenever the selection changes.
+         * 
          * @param {Inventory} [inventory] - Inventory to use for classifying segments.
          * @returns {HTMLElement} A DOM element for this ConsonantTable.
          */
         createElement(inventory) {
             inventory = inventory ?? this.inventory;
+            const entries = [];
 
             const consonants = this.segments.map(segment => {
                 const classification = inventory.featureSystem.classifyConsonant(segment);
@@ -968,7 +4521,9 @@
                         //     div.appendChild(document.createElement("span"));
                         //     i++;
                         // }
-                        div.appendChild(cons.segment.createElement(inventory));
+                        const elem = cons.segment.createElement(this.selectable ? undefined : inventory);
+                        entries.push({ segment: cons.segment, element: elem });
+                        div.appendChild(elem);
                         i++;
                     });
                     // while (i < voicings.length) {
@@ -985,6 +4540,16 @@
                 table.appendChild(row);
             });
 
+            registerChartSegments(inventory, entries);
+
+            if (this.selectable) {
+                const container = document.createElement("div");
+                container.classList.add("phonolo", "phonolo-selectable-chart");
+                container.appendChild(table);
+                addSelection(this, container, entries, inventory);
+                return container;
+            }
+
             return table;
         }
     }
@@ -1018,15 +4583,32 @@
          */
         inventory;
 
+        /**
+         * Whether segments in this vowel chart can be selected.
+         * 
+         * @type {boolean}
+         */
+        selectable;
+
+        /**
+         * The currently selected Segments, if selectable.
+         * 
+         * @type {Array.<Segment>}
+         */
+        selection = [];
+
         /**
          * Create a new vowel chart for the given segments.
+         * If selectable is true then segments can be selected in the chart element.
          * 
          * @param {Array.<Segment>} segments - The Segments in this vowel chart.
          * @param {Inventory} [inventory] - The Inventory that the Segments come from.
+         * @param {boolean} [selectable=false] - True iff the segments are to be user-selectable.
          */
-        constructor(segments, inventory) {
+        constructor(segments, inventory, selectable = false) {
             this.segments = segments;
             if (inventory) this.inventory = inventory;
+            this.selectable = selectable;
         }
 
         /**
@@ -1034,11 +4616,16 @@
          * Non-vowel segments in this VowelChart are ignored.
          * If no inventory was provided for this VowelChart, an inventory must be provided.
          * 
+         * If this VowelChart is selectable, clicking vowels selects them instead of
+         * showing their info, and the features shared by the selection are shown below the chart.
+         * The returned element receives a "phonolo-selectionchange" event whenever the selection changes.
+         * 
          * @param {Inventory} [inventory] - Inventory to use for classifying vowels.
          * @returns {HTMLElement} A DOM element for this VowelChart.
          */
         createElement(inventory) {
             inventory = inventory ?? this.inventory;
+            const entries = [];
 
             const RATIO = 0.55;
             const HEIGHT = 80;
@@ -1091,7 +4678,8 @@
 
                 x += (vowel.rounding ? 1 : -1) * 8;
                 const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
-                const tspan = vowel.segment.createElement(inventory, true);
+                const tspan = vowel.segment.createElement(this.selectable ? undefined : inventory, true);
+                entries.push({ segment: vowel.segment, element: tspan });
                 text.append(tspan);
                 text.setAttributeNS(null, "x", x);
                 text.setAttributeNS(null, "y", y);
@@ -1109,6 +4697,506 @@
 
             svg.appendChild(g);
 
+            registerChartSegments(inventory, entries);
+            if (this.selectable) addSelection(this, div, entries, inventory);
+
+            return div;
+        }
+
+    }
+
+
+    /**
+     * A class representing the syllable structure of a word as a tree diagram:
+     * each syllable (σ) branches into an onset (O) and a rhyme (R),
+     * which branches into a nucleus (N) and a coda (Co).
+     * In the moraic layout, onsets attach directly to the syllable instead,
+     * and the nucleus and each coda segment attach to their own mora (μ),
+     * with long nuclei having two moras.
+     */
+    class SyllableTree {
+
+        /**
+         * The Word whose syllables are shown.
+         * 
+         * @type {Word}
+         */
+        word;
+
+        /**
+         * The Inventory that the Segments come from.
+         * Optional.
+         * 
+         * @type {?Inventory}
+         */
+        inventory;
+
+        /**
+         * Whether the moraic layout is used.
+         * 
+         * @type {boolean}
+         */
+        moraic;
+
+        /**
+         * Create a new syllable tree for the given word.
+         * 
+         * @param {Word} word - The Word whose syllables are shown.
+         * @param {Inventory} [inventory] - The Inventory that the Segments come from.
+         * @param {boolean} [moraic=false] - True iff the moraic layout is to be used.
+         */
+        constructor(word, inventory, moraic = false) {
+            this.word = word;
+            setDiagramInventory(this, word, inventory);
+            this.moraic = moraic;
+        }
+
+        /**
+         * Create and return a new DOM element for this SyllableTree.
+         * The Word is syllabified first if it has not been already.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for the segment popups.
+         * @returns {HTMLElement} A DOM element for this SyllableTree.
+         */
+        createElement(inventory) {
+            inventory = inventory ?? this.inventory;
+            const syllables = this.word.getSyllables() ?? this.word.syllabify();
+
+            const COLUMN = 20;
+            const ROW = 25;
+            const depth = this.moraic ? 2 : 3;
+
+            const div = document.createElement("div");
+            div.classList.add("phonolo", "phonolo-syllables");
+            const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+            const lines = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            lines.setAttributeNS(null, "stroke", "black");
+            lines.setAttributeNS(null, "stroke-width", "0.5");
+            svg.appendChild(lines);
+
+            const addText = (x, row, content, cls) => {
+                addSvgText(svg, x, row * ROW, content, cls);
+                return { x, row };
+            };
+            const addLine = (parent, child) => {
+                const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+                line.setAttributeNS(null, "x1", parent.x);
+                line.setAttributeNS(null, "y1", parent.row * ROW + 7);
+                line.setAttributeNS(null, "x2", child.x);
+                line.setAttributeNS(null, "y2", child.row * ROW - 7);
+                lines.appendChild(line);
+            };
+            const addNode = (label, row, children, x = (children[0].x + children[children.length - 1].x) / 2) => {
+                const node = addText(x, row, label, "phonolo-syllables-node");
+                for (const child of children) addLine(node, child);
+                return node;
+            };
+
+            let column = 0;
+            for (const syllable of syllables) {
+                const leaves = {};
+                for (const part of ["onset", "nucleus", "coda"]) {
+                    leaves[part] = syllable[part].map(segment => addText(
+                        column++ * COLUMN, depth, segment.createElement(inventory, true), "phonolo-syllables-segment"));
+                }
+
+                let children;
+                if (this.moraic) {
+                    // Long nuclei have two moras
+                    const [nucleus] = leaves.nucleus;
+                    const offsets = syllable.nucleus[0].features.long === "+" ? [-COLUMN / 2, COLUMN / 2] : [0];
+                    const moras = [
+                        ...offsets.map(offset => [nucleus.x + offset, nucleus]),
+                        ...leaves.coda.map(leaf => [leaf.x, leaf])
+                    ].map(([x, leaf]) => addNode("μ", 1, [leaf], x));
+                    children = [...leaves.onset, ...moras];
+                } else {
+                    const rhyme = [addNode("N", 2, leaves.nucleus)];
+                    if (leaves.coda.length) rhyme.push(addNode("Co", 2, leaves.coda));
+                    children = [addNode("R", 1, rhyme)];
+                    if (leaves.onset.length) children.unshift(addNode("O", 1, leaves.onset));
+                }
+                addNode("σ", 0, children);
+                column++;
+            }
+
+            // The last column is the gap after the last syllable
+            const width = Math.max(column - 2, 0) * COLUMN;
+            svg.setAttributeNS(null, "viewBox", `-15 -15 ${width + 30} ${depth * ROW + 30}`);
+            div.appendChild(svg);
+            return div;
+        }
+
+    }
+
+
+    /**
+     * A class representing the sonority profile of a word as a line chart.
+     * Sonority peaks are marked as syllable nuclei,
+     * and peaks on segments that are not [+syllabic] are flagged as violations
+     * of the Sonority Sequencing Principle (e.g. the /s/ in "spa").
+     */
+    class SonorityProfile {
+
+        /**
+         * The Word whose sonority is shown.
+         * 
+         * @type {Word}
+         */
+        word;
+
+        /**
+         * The Inventory that the Segments come from.
+         * Optional.
+         * 
+         * @type {?Inventory}
+         */
+        inventory;
+
+        /**
+         * The function giving the sonority of segments.
+         * 
+         * @type {function(Segment): number}
+         */
+        sonority;
+
+        /**
+         * Create a new sonority profile for the given word.
+         * 
+         * @param {Word} word - The Word whose sonority is shown.
+         * @param {Inventory} [inventory] - The Inventory that the Segments come from.
+         * @param {function(Segment): number} [sonority] - The sonority scale.
+         *     Defaults to the sonority scale of the inventory's Syllabifier, or Syllabifier.sonority.
+         */
+        constructor(word, inventory, sonority) {
+            this.word = word;
+            setDiagramInventory(this, word, inventory);
+            this.sonority = sonority ?? this.inventory?.syllabifier?.sonority ?? Syllabifier.sonority;
+        }
+
+        /**
+         * Return the sonority of each segment of the Word, in order,
+         * with whether it is a sonority peak (a [+syllabic] segment,
+         * or a segment higher than its neighbours on either side of any plateau it is on,
+         * taking the edges of the word to have no sonority)
+         * and whether it violates the Sonority Sequencing Principle
+         * (a peak that is not [+syllabic]).
+         * Suprasegmental tokens and unparsed strings are skipped.
+         * 
+         * @returns {Array.<{segment: Segment, sonority: number, peak: boolean, violation: boolean}>}
+         *     The sonority profile.
+         */
+        getProfile() {
+            const featureSystem = this.inventory?.featureSystem ?? this.inventory;
+            const segments = this.word.transcription.filter(segment =>
+                segment instanceof Segment && Object.keys(segment.features).length);
+            const specified = segments.map(segment => specifiedSegment(segment, featureSystem));
+            const sonorities = specified.map(segment => this.sonority(segment));
+            return segments.map((segment, i) => {
+                const sonority = sonorities[i];
+                const syllabic = specified[i].features.syllabic === "+";
+                let start = i;
+                let end = i;
+                while (sonorities[start - 1] === sonority) start--;
+                while (sonorities[end + 1] === sonority) end++;
+                const peak = syllabic ||
+                    sonority > (sonorities[start - 1] ?? 0) && sonority > (sonorities[end + 1] ?? 0);
+                return { segment, sonority, peak, violation: peak && !syllabic };
+            });
+        }
+
+        /**
+         * Create and return a new DOM element for this SonorityProfile.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for the segment popups.
+         * @returns {HTMLElement} A DOM element for this SonorityProfile.
+         */
+        createElement(inventory) {
+            inventory = inventory ?? this.inventory;
+            const profile = this.getProfile();
+
+            const COLUMN = 20;
+            const LEVEL = 8;
+            const top = Math.max(...profile.map(x => x.sonority), 1);
+            const height = top * LEVEL;
+            const width = Math.max(profile.length - 1, 0) * COLUMN;
+
+            const div = document.createElement("div");
+            div.classList.add("phonolo", "phonolo-sonority");
+            const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+            svg.setAttributeNS(null, "viewBox", `-15 -10 ${width + 30} ${height + 30}`);
+
+            // Gridlines for each level of sonority
+            const grid = document.createElementNS("http://www.w3.org/2000/svg", "g");
+            grid.classList.add("phonolo-sonority-grid");
+            for (let level = 0; level <= top; level++) {
+                const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+                line.setAttributeNS(null, "x1", -10);
+                line.setAttributeNS(null, "y1", height - level * LEVEL);
+                line.setAttributeNS(null, "x2", width + 10);
+                line.setAttributeNS(null, "y2", height - level * LEVEL);
+                grid.appendChild(line);
+            }
+            svg.appendChild(grid);
+
+            const points = profile.map(({ sonority }, i) => [i * COLUMN, height - sonority * LEVEL]);
+            const polyline = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+            polyline.classList.add("phonolo-sonority-line");
+            polyline.setAttributeNS(null, "points", points.map(point => point.join(",")).join(" "));
+            svg.appendChild(polyline);
+
+            profile.forEach(({ segment, peak, violation }, i) => {
+                const [x, y] = points[i];
+                const circ = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+                circ.setAttributeNS(null, "cx", x);
+                circ.setAttributeNS(null, "cy", y);
+                circ.setAttributeNS(null, "r", peak ? 3 : 1.5);
+                if (peak) circ.classList.add("phonolo-sonority-peak");
+                if (violation) {
+                    circ.classList.add("phonolo-sonority-violation");
+                    const title = document.createElementNS("http://www.w3.org/2000/svg", "title");
+                    title.textContent = "Sonority Sequencing Principle violation";
+                    circ.appendChild(title);
+                }
+                svg.appendChild(circ);
+
+                addSvgText(svg, x, height + 12, segment.createElement(inventory, true),
+                    violation ? "phonolo-sonority-violation" : undefined);
+            });
+
+            div.appendChild(svg);
+            return div;
+        }
+
+    }
+
+
+    /**
+     * A class representing an autosegmental diagram of a word:
+     * tiers of autosegments (such as tones or features) above or below the segmental tier,
+     * linked to segments by association lines.
+     * Association lines are solid, new associations (e.g. from spreading) are dashed,
+     * and delinked associations are crossed out.
+     */
+    class AutosegmentalDiagram {
+
+        /**
+         * The Word whose segments form the segmental tier.
+         * 
+         * @type {Word}
+         */
+        word;
+
+        /**
+         * The Inventory that the Segments come from.
+         * Optional.
+         * 
+         * @type {?Inventory}
+         */
+        inventory;
+
+        /**
+         * The autosegmental tiers, in order from top to bottom within each side of the segmental tier.
+         * Each tier has a name, its autosegments, whether it is drawn below the segmental tier,
+         * and its associations, which link an autosegment to a segment by their indices
+         * and have a type of "associated", "new" or "delinked".
+         * 
+         * @type {Array.<{name: string, autosegments: Array.<string>, below: boolean,
+         *     associations: Array.<{autosegment: number, segment: number, type: string}>}>}
+         */
+        tiers = [];
+
+        /**
+         * Create a new autosegmental diagram for the given word.
+         * 
+         * @param {Word} word - The Word whose segments form the segmental tier.
+         * @param {Inventory} [inventory] - The Inventory that the Segments come from.
+         */
+        constructor(word, inventory) {
+            this.word = word;
+            setDiagramInventory(this, word, inventory);
+        }
+
+        /**
+         * Return the segments of the segmental tier:
+         * the Segments of the Word's transcription, without suprasegmental tokens or unparsed strings.
+         * Associations refer to segments by their index in this array.
+         * 
+         * @returns {Array.<Segment>} The segments of the segmental tier.
+         */
+        getSegments() {
+            return this.word.transcription.filter(segment =>
+                segment instanceof Segment && Object.keys(segment.features).length);
+        }
+
+        /**
+         * Add a tier of autosegments, such as a tone tier of H, L and M tones.
+         * Associations are given as [autosegment, segment] index pairs
+         * or as objects with a type of "associated" (the default), "new" or "delinked".
+         * 
+         * @param {string} name - The name of the tier, e.g. "T".
+         * @param {Array.<string>} autosegments - The autosegments, e.g. ["H", "L"].
+         * @param {Array.<(Array.<number>|{autosegment: number, segment: number, type: ?string})>} [associations=[]] -
+         *     The associations of the autosegments to segments.
+         * @param {boolean} [below=false] - True iff the tier is drawn below the segmental tier.
+         * @returns {AutosegmentalDiagram} This AutosegmentalDiagram.
+         */
+        addTier(name, autosegments, associations = [], below = false) {
+            this.tiers.push({
+                name,
+                autosegments,
+                below,
+                associations: associations.map(association => Array.isArray(association) ?
+                    { autosegment: association[0], segment: association[1], type: "associated" } :
+                    { type: "associated", ...association })
+            });
+            return this;
+        }
+
+        /**
+         * Add a tier for a feature value, drawn below the segmental tier.
+         * Each run of adjacent segments with the value is associated to a single autosegment,
+         * as in multiple linking.
+         * 
+         * @param {string} feature - The feature, e.g. "nasal".
+         * @param {string} [value="+"] - The feature value.
+         * @returns {AutosegmentalDiagram} This AutosegmentalDiagram.
+         */
+        addFeatureTier(feature, value = "+") {
+            const autosegments = [];
+            const associations = [];
+            this.getSegments().forEach((segment, i, segments) => {
+                if (segment.features[feature] !== value) return;
+                if (segments[i - 1]?.features[feature] !== value) {
+                    // Privative features are shown without a value
+                    const privative = this.inventory?.getType(feature) === "privative" && value === "+";
+                    autosegments.push(`[${privative ? "" : value}${feature}]`);
+                }
+                associations.push([autosegments.length - 1, i]);
+            });
+            return this.addTier(`[${feature}]`, autosegments, associations, true);
+        }
+
+        /**
+         * Mark an association of an autosegment to a segment as new,
+         * adding it if it does not exist.
+         * 
+         * @param {number} tier - The index of the tier.
+         * @param {number} autosegment - The index of the autosegment in the tier.
+         * @param {number} segment - The index of the segment.
+         * @returns {AutosegmentalDiagram} This AutosegmentalDiagram.
+         */
+        associate(tier, autosegment, segment) {
+            return this.setAssociation(tier, autosegment, segment, "new");
+        }
+
+        /**
+         * Mark an association of an autosegment to a segment as delinked,
+         * adding it if it does not exist.
+         * 
+         * @param {number} tier - The index of the tier.
+         * @param {number} autosegment - The index of the autosegment in the tier.
+         * @param {number} segment - The index of the segment.
+         * @returns {AutosegmentalDiagram} This AutosegmentalDiagram.
+         */
+        delink(tier, autosegment, segment) {
+            return this.setAssociation(tier, autosegment, segment, "delinked");
+        }
+
+        /**
+         * Set the type of an association, adding it if it does not exist.
+         * 
+         * @param {number} tier - The index of the tier.
+         * @param {number} autosegment - The index of the autosegment in the tier.
+         * @param {number} segment - The index of the segment.
+         * @param {string} type - The type of the association.
+         * @returns {AutosegmentalDiagram} This AutosegmentalDiagram.
+         * @private
+         */
+        setAssociation(tier, autosegment, segment, type) {
+            const { associations } = this.tiers[tier];
+            const existing = associations.find(x => x.autosegment === autosegment && x.segment === segment);
+            if (existing) existing.type = type;
+            else associations.push({ autosegment, segment, type });
+            return this;
+        }
+
+        /**
+         * Create and return a new DOM element for this AutosegmentalDiagram.
+         * Autosegments are centred over the segments they are associated with
+         * (not counting new associations unless they have no others),
+         * and floating autosegments are placed after the preceding autosegment.
+         * 
+         * @param {Inventory} [inventory] - Inventory to use for the segment popups.
+         * @returns {HTMLElement} A DOM element for this AutosegmentalDiagram.
+         */
+        createElement(inventory) {
+            inventory = inventory ?? this.inventory;
+            const segments = this.getSegments();
+
+            const COLUMN = 20;
+            const ROW = 30;
+            const above = this.tiers.filter(tier => !tier.below);
+            const below = this.tiers.filter(tier => tier.below);
+            const rows = new Map([
+                ...above.map((tier, k) => [tier, k]),
+                ...below.map((tier, k) => [tier, above.length + 1 + k])
+            ]);
+            const segmentRow = above.length;
+            const width = Math.max(segments.length - 1, 0) * COLUMN;
+
+            const div = document.createElement("div");
+            div.classList.add("phonolo", "phonolo-autosegmental");
+            const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+            svg.setAttributeNS(null, "viewBox",
+                `${-2 * COLUMN} -15 ${width + 2 * COLUMN + 15} ${this.tiers.length * ROW + 30}`);
+
+            const addLine = (x1, y1, x2, y2, cls) => {
+                const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+                if (cls) line.classList.add(cls);
+                line.setAttributeNS(null, "x1", x1);
+                line.setAttributeNS(null, "y1", y1);
+                line.setAttributeNS(null, "x2", x2);
+                line.setAttributeNS(null, "y2", y2);
+                svg.appendChild(line);
+            };
+
+            segments.forEach((segment, i) =>
+                addSvgText(svg, i * COLUMN, segmentRow * ROW,
+                    segment.createElement(inventory, true), "phonolo-autosegmental-segment"));
+
+            for (const tier of this.tiers) {
+                const row = rows.get(tier);
+                addSvgText(svg, -1.5 * COLUMN, row * ROW, tier.name, "phonolo-autosegmental-name");
+
+                // Centre autosegments over the segments they were originally associated with
+                let previous = -COLUMN;
+                const xs = tier.autosegments.map((autosegment, k) => {
+                    const associations = tier.associations.filter(x => x.autosegment === k);
+                    const original = associations.filter(x => x.type !== "new");
+                    const linked = (original.length ? original : associations).map(x => x.segment * COLUMN);
+                    previous = linked.length ?
+                        (Math.min(...linked) + Math.max(...linked)) / 2 :
+                        previous + COLUMN;
+                    addSvgText(svg, previous, row * ROW, autosegment, "phonolo-autosegmental-autosegment");
+                    return previous;
+                });
+
+                for (const { autosegment, segment, type } of tier.associations) {
+                    const direction = row < segmentRow ? 1 : -1;
+                    const [x1, y1] = [xs[autosegment], row * ROW + direction * 7];
+                    const [x2, y2] = [segment * COLUMN, segmentRow * ROW - direction * 7];
+                    addLine(x1, y1, x2, y2, `phonolo-autosegmental-${type}`);
+                    if (type === "delinked") {
+                        // Cross out the middle of the line
+                        const [x, y] = [(x1 + x2) / 2, (y1 + y2) / 2];
+                        addLine(x - 3, y - 2, x + 3, y - 2, "phonolo-autosegmental-delinked");
+                        addLine(x - 3, y + 2, x + 3, y + 2, "phonolo-autosegmental-delinked");
+                    }
+                }
+            }
+
+            div.appendChild(svg);
             return div;
         }
 
@@ -1117,11 +5205,26 @@
 
     window.Phonolo = {
         Inventory,
+        ValidationReport,
+        ParseError,
         Segment,
+        Suprasegmental,
         Word,
+        Syllabifier,
         FeatureBundle,
+        Optional,
+        Disjunction,
+        Repetition,
+        SyllablePosition,
         Rule,
+        Derivation,
+        RuleInteraction,
+        FeatureTree,
+        ContrastiveHierarchy,
         ConsonantTable,
-        VowelChart
+        VowelChart,
+        SyllableTree,
+        SonorityProfile,
+        AutosegmentalDiagram
     };
 })();
@@ -0,0 +1,20 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const window = {};
+for (const file of ["phonolo.js", "hayes.js"]) {
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), { window });
+}
+const { Inventory, Rule } = window.Phonolo;
+const hayes = Inventory.fromObject(window.hayes);
+
+test("Rule.apply composes a nasalised vowel missing from the feature system", () => {
+    const rule = Rule.parse("V → [+nasal] / _ [+nasal]", hayes);
+    const result = rule.apply(hayes.parse("bæn"), hayes);
+    assert.strictEqual(result.map(String).join(""), "bæ̃n");
+    assert.strictEqual(result[1].features.nasal, "+");
+    assert.strictEqual(result[1].features.low, "+");
+});